@@ -21,18 +21,22 @@ class App {
 
     // Core modules
     this.renderer    = new ARRenderer(this.canvas);
-    this.gameState   = new GameState();
+    this.rules       = RULES.EIGHT_BALL;
+    this.gameState   = new GameState(this.rules);
     this.arSession   = new ARSession(this.videoEl);
     this.camManager  = new CameraManager();
     this.tracker     = new BallTracker();
+    this.timeline    = new GameTimeline();
 
     // Game state
     this.mode        = 'demo';   // 'demo' | 'ar'
     this.balls       = [];
     this.bestShots   = [];
     this.currentShot = null;
+    this.runOut      = null;     // best run-out plan for the current layout
     this.showAI      = true;
     this.power       = 0.55;
+    this.tip         = { a: 0, b: 0 };   // cue-tip offset, fractions of R
     this.stickResult = null;
     this.selectedBall = null;
 
@@ -40,6 +44,8 @@ class App {
     this.pointerDown  = false;
     this.aimMode      = false;
     this.manualAim    = null;
+    this.placingCue   = false;   // dragging the cue ball in hand
+    this.cueSuggestion = null;   // AI's ball-in-hand spot: { cue, shot, score }
 
     // Detection
     this.lastDetection  = null;
@@ -49,6 +55,10 @@ class App {
     // Shot timing (for training)
     this._shotStartTime = 0;
     this._pendingShotId = -1;
+    this._pendingManual = false;   // the pending shot was aimed by hand
+    this._simPending    = false;   // shot sent to the sim worker, not back yet
+    this._strike        = null;    // { vx, vy, tip, from } of the shot in play, for the timeline
+    this._linkShot      = null;    // { ballId, pocketId } a layout link asked to highlight
 
     // roundRect polyfill for older browsers
     if (typeof CanvasRenderingContext2D.prototype.roundRect !== 'function') {
@@ -68,8 +78,12 @@ class App {
 
   // ── Initialise ────────────────────────────────────────────────────────────
   _init() {
-    // Open training DB (non-blocking)
-    trainingDB.open().catch(() => {});
+    // Open training DB (non-blocking) and learn the players' error profiles
+    trainingDB.open().then(() => playerProfiles.refresh()).catch(() => {});
+
+    // Physics constants of the last used table profile
+    tableProfiles.restore();
+    this._fillTableProfiles();
 
     // Wire up AR session callbacks
     this.arSession.onCalibrated = () => {
@@ -100,10 +114,11 @@ class App {
 
     // Ball tracker callbacks
     this.tracker.onUpdate = (states) => this._onTrackUpdate(states);
-    this.tracker.onDone   = (states) => this._onTrackDone(states);
+    this.tracker.onDone   = (states, cueTrack, events) => this._onTrackDone(states, cueTrack, events);
 
-    // Start
+    // Start (from a shared layout, if the page was opened with one)
     this._newGame();
+    this._openLayoutLink(location.hash);
     this._bindEvents();
     this._startRenderLoop();
     this._updateHUD();
@@ -117,48 +132,330 @@ class App {
 
   // ── Game setup ────────────────────────────────────────────────────────────
   _newGame() {
-    this.gameState    = new GameState();
-    this.balls        = GameState.makeRackBalls();
+    this.gameState    = this._makeGameState();
+    this.balls        = GameState.makeRackBalls(this.rules);
     this.selectedBall = null;
     this.currentShot  = null;
     this.manualAim    = null;
+    this._resetTimeline();
     this._computeBestShots();
     this._updateHUD();
     this._setStatus('New game! Player 1: Break.');
   }
 
   _rackBalls() {
-    this.balls        = GameState.makeRackBalls();
+    this.balls        = GameState.makeRackBalls(this.rules);
     this.selectedBall = null;
     this.currentShot  = null;
     this.manualAim    = null;
+    this._resetTimeline();
     this._computeBestShots();
     this._setStatus('Balls racked.');
   }
 
   _randomLayout(count = 7) {
-    this.balls     = GameState.makeRandomBalls(count);
-    this.gameState = new GameState();
-    this.gameState.phase = GAME_PHASE.OPEN_TABLE;
+    this.balls     = GameState.makeRandomBalls(count, this.rules);
+    this.gameState = this._layoutState(this.balls);
     this.selectedBall = null;
     this.currentShot  = null;
+    this._resetTimeline();
     this._computeBestShots();
     this._updateHUD();
     this._setStatus('Random layout. AI is finding the best shot…');
   }
 
+  _makeGameState() {
+    const raw = parseInt(document.getElementById('points-target')?.value || '50', 10);
+    return new GameState(this.rules, { target: isNaN(raw) ? 50 : Math.max(1, raw) });
+  }
+
+  // Game state for a layout set up mid-rack: past the break, table open,
+  // and every ball of the rule set not on the table already pocketed (so
+  // the lowest ball, the groups and the game ball follow the layout)
+  _layoutState(balls) {
+    const gs = this._makeGameState();
+    gs.phase = gs.rotation ? GAME_PHASE.ROTATION
+             : this.rules === RULES.STRAIGHT_POOL ? GAME_PHASE.CALL_SHOT : GAME_PHASE.OPEN_TABLE;
+    const onTable = new Set(balls.filter(b => !b.pocketed).map(b => b.id));
+    gs.pocketed = new Set(gs.ballIds.filter(id => !onTable.has(id)));
+    return gs;
+  }
+
+  // ── Layout links ──────────────────────────────────────────────────────────
+  // Sets up the layout in a '#b1-…' fragment (see LayoutLinks) in demo mode
+  _openLayoutLink(hash) {
+    if (!layoutLinks.isLink(hash) || this._shotBusy()) return false;
+    let link;
+    try {
+      link = layoutLinks.decode(hash);
+    } catch (err) {
+      this._setStatus(`Layout link not opened: ${err.message}`);
+      return false;
+    }
+    if (this.mode === 'ar') this._stopAR();
+    this.rules     = link.rules;
+    this._linkShot = link.shot;
+    this._setPosition(link.balls, this._layoutState(link.balls));
+    this._resetTimeline();
+    this._setStatus('Shared layout opened.');
+    return true;
+  }
+
+  _copyLayoutLink() {
+    const shot = this.currentShot?.pocket && this.currentShot.type !== 'safety'
+      ? { ballId: this.currentShot.objBall.id, pocketId: this.currentShot.pocket.id }
+      : null;
+    const hash = layoutLinks.encode({ balls: this.balls, rules: this.rules, shot });
+    const url  = `${location.href.split('#')[0]}#${hash}`;
+    history.replaceState(null, '', url);
+    const done = () => this._setStatus('Layout link copied.');
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(url).then(done).catch(() => this._setStatus(`Layout link: ${url}`));
+    } else {
+      this._setStatus(`Layout link: ${url}`);
+    }
+  }
+
+  // ── Game files ────────────────────────────────────────────────────────────
+  _saveGame() {
+    const json = gameFiles.serialize({ balls: this.balls, gameState: this.gameState, timeline: this.timeline });
+    const name = gameFiles.fileName(this.gameState);
+    const url  = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = name;
+    a.click();
+    URL.revokeObjectURL(url);
+    this._setStatus(`Saved ${name}`);
+  }
+
+  // A saved game, or a bare layout (which starts mid-rack, table open)
+  async _openGameFile(file) {
+    if (this._shotBusy()) return;
+    let game;
+    try {
+      game = gameFiles.parse(await file.text());
+    } catch (err) {
+      this._setStatus(`Can't open ${file.name}: ${err.message}`);
+      return;
+    }
+    this.rules = game.rules;
+    this._setPosition(game.balls, game.gameState || this._layoutState(game.balls));
+    if (game.history) this.timeline.restore(game.history);
+    else this.timeline.reset(this.balls, this.gameState);
+    this._updateTimeline();
+    this._setStatus(`Opened ${file.name}. ${this.gameState.message}`);
+  }
+
+  // Ball moves the rules call for after a shot: re-spots and re-racks
+  _applyTableRules() {
+    const gs = this.gameState;
+    gs.respot.forEach(id => GameState.spotBall(this.balls, id));
+    if (gs.rerack) GameState.rerackBalls(this.balls, gs.rerack, { rebreak: gs.phase === GAME_PHASE.BREAK });
+    this.cueSuggestion = null;
+    this._placeCueInHand();
+  }
+
+  // Ball in hand: a pocketed cue ball comes back at the head spot, or the
+  // nearest legal spot to it (as does one left somewhere it may not be
+  // played from), and the player can then drag it anywhere legal
+  _placeCueInHand() {
+    const gs  = this.gameState;
+    const cue = this.balls.find(b => b.id === 0);
+    if (!cue) return;
+    cue.inHand = gs.ballInHand && gs.phase !== GAME_PHASE.GAME_OVER;
+    if (!cue.pocketed && (!cue.inHand || gs.canPlaceCue(this.balls, cue))) return;
+    const spot = cue.inHand ? gs.cueSpot(this.balls, cue.pocketed ? C.HEAD_SPOT : cue) : C.HEAD_SPOT;
+    cue.pocketed = false;
+    cue.x = spot.x; cue.y = spot.y; cue.vx = 0; cue.vy = 0;
+  }
+
+  _cueInHand() {
+    return !!this.balls.find(b => b.id === 0)?.inHand && !this.renderer.animating;
+  }
+
+  // A player's push-out / pass-back call changed who shoots or what is legal
+  _afterRuleChoice() {
+    this._computeBestShots();
+    this._updateHUD();
+    this._setStatus(this.gameState.message);
+  }
+
+  // ── Game timeline ─────────────────────────────────────────────────────────
+  _resetTimeline() {
+    this.timeline.reset(this.balls, this.gameState);
+    this._updateTimeline();
+  }
+
+  // Timeline entry for the shot just played
+  _recordTimeline() {
+    this.timeline.record(this.balls, this.gameState, this._strike);
+    this._strike = null;
+    this._updateTimeline();
+  }
+
+  _undo() {
+    if (this._shotBusy()) return;
+    const entry = this.timeline.undo();
+    if (entry) this._restoreEntry(entry);
+  }
+
+  _redo() {
+    if (this._shotBusy()) return;
+    const entry = this.timeline.redo();
+    if (entry) this._restoreEntry(entry);
+  }
+
+  // Puts the table and game back as a timeline entry left them
+  _restoreEntry(entry) {
+    this._setPosition(GameTimeline.unpackBalls(entry.balls), GameState.fromSnapshot(entry.gameState));
+  }
+
+  // Shows a new table and game state (from the timeline or a saved file)
+  _setPosition(balls, gameState) {
+    this.balls     = balls;
+    this.gameState = gameState;
+    this.rules     = gameState.rules;
+    const sel = document.getElementById('rules-select');
+    if (sel) sel.value = this.rules;
+    const target = document.getElementById('points-target');
+    if (target) {
+      target.value = this.gameState.target;
+      target.style.display = this.rules === RULES.STRAIGHT_POOL ? '' : 'none';
+    }
+    this.selectedBall  = null;
+    this.currentShot   = null;
+    this.manualAim     = null;
+    this.placingCue    = false;
+    this.cueSuggestion = null;
+    const cue = this.balls.find(b => b.id === 0);
+    if (cue) cue.inHand = gameState.ballInHand && gameState.phase !== GAME_PHASE.GAME_OVER && !cue.pocketed;
+    this._computeBestShots();
+    this._updateHUD();
+    this._updateTimeline();
+    this._setStatus(this.gameState.message);
+  }
+
+  // Jumps to entry i, playing the shot that led there from the entry
+  // before it
+  _replayShot(i) {
+    if (this._shotBusy()) return;
+    const entry  = this.timeline.goTo(i);
+    const before = this.timeline.entries[i - 1];
+    if (!entry) return;
+    if (!entry.shot || !before) { this._restoreEntry(entry); return; }
+
+    const { vx, vy, tip, from } = entry.shot;
+    this.balls = GameTimeline.unpackBalls(before.balls);
+    const cue = this.balls.find(b => b.id === 0);
+    if (cue && from) { cue.x = from.x; cue.y = from.y; cue.pocketed = false; cue.inHand = false; }
+    this.currentShot   = null;
+    this.runOut        = null;
+    this.cueSuggestion = null;
+    this._updateTimeline();
+    this._setStatus(`Replaying shot ${i}…`);
+
+    this._simPending = true;
+    simService.simulate(this.balls, 0, vx, vy, { tip }).then(result => {
+      this._simPending = false;
+      if (!result) { this._restoreEntry(entry); return; }
+      this.renderer.startAnimation(result.frames, this.balls, () => this._restoreEntry(entry));
+    }).catch(() => {
+      this._simPending = false;
+      this._restoreEntry(entry);
+    });
+  }
+
+  _shotBusy() {
+    return this.renderer.animating || this._simPending;
+  }
+
+  _updateTimeline() {
+    const tl   = this.timeline;
+    const last = tl.entries.length - 1;
+    const slider = document.getElementById('timeline-slider');
+    if (slider) { slider.max = last; slider.value = tl.index; }
+    const label = document.getElementById('timeline-label');
+    if (label) label.textContent = `${tl.index}/${last}`;
+    const undo = document.getElementById('btn-undo');
+    if (undo) undo.disabled = !tl.canUndo;
+    const redo = document.getElementById('btn-redo');
+    if (redo) redo.disabled = !tl.canRedo;
+  }
+
   // ── AI shot computation ───────────────────────────────────────────────────
+  // Ranked (and the run-out planned) in the sim worker; a newer request
+  // supersedes a pending one
   _computeBestShots() {
-    this.bestShots  = shotEngine.findBestShots(this.balls, this.gameState);
-    this.currentShot = this.bestShots.length > 0 ? this.bestShots[0] : null;
+    const profile = playerProfiles.get(this.gameState.currentPlayer);
+    simService.rankShots(this.balls, this.gameState, profile).then(shots => {
+      if (!shots) return;
+      this.bestShots   = shots;
+      this.currentShot = shots.length > 0 ? shots[0] : null;
 
-    // Annotate with suggested power
-    if (this.currentShot) {
-      const cue = this.balls.find(b => b.id === 0);
-      if (cue) this.currentShot.suggestedPower = suggestedPower(this.currentShot, cue);
+      // A layout link's highlighted shot, if the AI finds a way to play it
+      const want = this._linkShot;
+      this._linkShot = null;
+      const linked = want && shots.find(s => s.objBall.id === want.ballId && s.pocket?.id === want.pocketId);
+      if (linked) {
+        this.currentShot  = linked;
+        this.selectedBall = linked.objBall;
+      }
+
+      this._annotateShot(this.currentShot);
+      this._updateShotPanel();
+    }).catch(() => {});
+
+    this.runOut = null;
+    simService.planRunOut(this.balls, this.gameState, profile).then(plans => {
+      if (!plans) return;
+      this.runOut = plans[0] || null;
+      this._updateShotPanel();
+    }).catch(() => {});
+
+    // Where to put the cue ball in hand doesn't depend on where it is now,
+    // so one search serves the whole turn
+    if (!this._cueInHand()) {
+      this.cueSuggestion = null;
+    } else if (!this.cueSuggestion) {
+      simService.placeCueBall(this.balls, this.gameState, profile).then(place => {
+        if (place && this._cueInHand()) this.cueSuggestion = place;
+      }).catch(() => {});
     }
+  }
 
-    this._updateShotPanel();
+  // Suggested power, throw-compensated aim and cue-ball path for the
+  // current power and tip offset, then fresh make / scratch odds
+  _annotateShot(shot) {
+    if (!shot) return;
+    const cue = this.balls.find(b => b.id === 0);
+    if (!cue) return;
+    if (shot.type !== 'safety') {   // a safety's power, aim and paths come from the search
+      // Position play found the speed that leaves the best next shot
+      shot.suggestedPower = shot.position ? shot.position.power : suggestedPower(shot, cue);
+      if (shot.type !== 'kick') {   // a kick's aim and cue path come from the rail route
+        shot.aim = shotEngine.ghostBall(shot.objBall, shotEngine.shotTarget(shot), { cueBall: cue, power: this.power, tip: this.tip });
+        const spinType = shotEngine.contactSpinType(cue, shot.ghost, this.power, this.tip);
+        shot.cbPath = shotEngine.cueBallPath(cue, shot.ghost, shot.objBall, spinType);
+      }
+    }
+    this._estimateOdds(shot);
+  }
+
+  // Monte-Carlo make / scratch odds for the shot as it will be played
+  _estimateOdds(shot) {
+    shot.odds = null;
+    const profile = playerProfiles.get(this.gameState.currentPlayer);
+    simService.estimateOdds(this.balls, shot, this._shotPower(shot), this.tip, profile).then(odds => {
+      if (!odds || shot !== this.currentShot) return;
+      shot.odds = odds;
+      this._updateShotPanel();
+    }).catch(() => {});
+  }
+
+  // A safety's leave depends on its speed, so it is played at the planned
+  // power; everything else at the player's
+  _shotPower(shot) {
+    return shot.type === 'safety' ? shot.power : this.power;
   }
 
   // ── Render loop ───────────────────────────────────────────────────────────
@@ -180,9 +477,15 @@ class App {
     return {
       balls:        this.balls,
       bestShot:     this.showAI && !this.renderer.animating ? this.currentShot : null,
+      runOut:       this.showAI && !this.renderer.animating ? this.runOut : null,
       selectedBall: this.selectedBall ? this.selectedBall.id : -1,
       showAI:       this.showAI,
       manualAim:    this.aimMode ? this.manualAim : null,
+      ballInHand:   this._cueInHand() ? {
+        behindHeadString: this.gameState.ballInHandAfterScratch,
+        placing:          this.placingCue,
+        suggestion:       this.showAI ? this.cueSuggestion : null,
+      } : null,
       mode:         this.mode,
       arSession:    this.arSession,
       stickResult:  this.mode === 'ar' ? this.stickResult : null,
@@ -254,31 +557,37 @@ class App {
     }
   }
 
-  _onTrackDone(states) {
-    // Shot tracking finished → record outcome
+  // A tracked AR shot is processed here, from where the real balls went –
+  // never also from the simulation that animated it (see _runShot)
+  _onTrackDone(states, cueTrack = null, events = null) {
+    // Shot tracking finished → record outcome. The real balls have stopped,
+    // so a simulated animation still running is moot.
+    this.renderer.stopAnimation();
     const pocketed = new Set(
       states.filter(s => s.pocketed).map(s => s.id)
     );
     const cuePocketed = pocketed.has(0);
+    for (const st of states) {
+      const ball = this.balls.find(b => b.id === st.id);
+      if (ball) { ball.x = st.x; ball.y = st.y; ball.vx = 0; ball.vy = 0; ball.pocketed = !!st.pocketed; }
+    }
 
     // Record outcome in training DB
     if (this._pendingShotId >= 0) {
       const duration = Date.now() - this._shotStartTime;
-      const intended = this.currentShot?.objBall?.id;
+      const intended = this._intendedBall();
       const success  = intended !== undefined && pocketed.has(intended);
       trainingDB.recordOutcome(
         this._pendingShotId,
-        { pocketed: [...pocketed], cuePocketed, success, duration },
+        { pocketed: [...pocketed], cuePocketed, success, duration, cueTrack },
         states
-      ).catch(() => {});
+      ).then(() => playerProfiles.refresh()).catch(() => {});
       this._pendingShotId = -1;
     }
 
-    this.gameState.processShot(pocketed, cuePocketed);
-    if (cuePocketed) {
-      const cue = this.balls.find(b => b.id === 0);
-      if (cue) { cue.pocketed = false; cue.x = C.HEAD_SPOT.x; cue.y = C.HEAD_SPOT.y; cue.vx = 0; cue.vy = 0; }
-    }
+    this.gameState.processShot(pocketed, cuePocketed, events);
+    this._applyTableRules();
+    this._recordTimeline();
 
     this._computeBestShots();
     this._updateHUD();
@@ -298,17 +607,15 @@ class App {
     }
 
     const cuePocketed = result.pocketed.has(0);
-    this.gameState.processShot(result.pocketed, cuePocketed);
+    this.gameState.processShot(result.pocketed, cuePocketed, result.events);
+    this._applyTableRules();
+    this._recordTimeline();
 
-    if (cuePocketed) {
-      const cue = this.balls.find(b => b.id === 0);
-      if (cue) { cue.pocketed = false; cue.x = C.HEAD_SPOT.x; cue.y = C.HEAD_SPOT.y; cue.vx = 0; cue.vy = 0; }
-    }
-
-    // Record training outcome
+    // Record training outcome. Simulated shots carry no player error, so
+    // they don't refit the player profiles.
     if (this._pendingShotId >= 0) {
       const duration = Date.now() - this._shotStartTime;
-      const intended = this.currentShot?.objBall?.id;
+      const intended = this._intendedBall();
       const success  = intended !== undefined && result.pocketed.has(intended);
       trainingDB.recordOutcome(
         this._pendingShotId,
@@ -334,45 +641,72 @@ class App {
     const cue = this.balls.find(b => b.id === 0);
     if (!cue) return;
 
+    // Playing the shown shot calls it, unless the player called one already
+    const shot = this.currentShot;
+    if (this.gameState.callShots && !this.gameState.call && shot.pocket) {
+      this.gameState.callShot(shot.type === 'combo' ? shot.second.id : shot.objBall.id, shot.pocket.id);
+    }
+
     this._recordShotStart();
-    const vel = shotEngine.shotVelocity(cue, this.currentShot, this.power);
-    this._runShot(vel.vx, vel.vy);
+    const vel = shotEngine.shotVelocity(cue, this.currentShot, this._shotPower(this.currentShot), this.tip);
+    this._runShot(vel.vx, vel.vy, vel.tip);
   }
 
   _executeManualShot() {
     const cue = this.balls.find(b => b.id === 0);
     if (!cue || !this.manualAim?.to) return;
-    this._recordShotStart();
-    const dir   = V.norm(V.sub(this.manualAim.to, cue));
-    const speed = 500 + this.power * 3500;
-    this._runShot(dir.x * speed, dir.y * speed);
+    this._recordShotStart(true);
+    const vel = shotEngine.aimToVelocity(cue, this.manualAim.to, this.power, this.tip);
+    this._runShot(vel.vx, vel.vy, vel.tip);
   }
 
-  _runShot(vx, vy) {
-    if (this.renderer.animating) return;
-    const result = physics.simulate(this.balls, 0, vx, vy);
+  _runShot(vx, vy, tip = null) {
+    if (this.renderer.animating || this._simPending) return;
+    this._simPending = true;
     this._setStatus('Shot in progress…');
-
-    // In AR mode, start ball tracker
-    if (this.mode === 'ar' && this.arSession.calibrated) {
-      this.tracker.start(this.videoEl, this.arSession, this.balls);
-    }
-
-    this.renderer.startAnimation(result.frames, this.balls, () => {
-      this._onShotComplete(result);
+    const cue = this.balls.find(b => b.id === 0);
+    if (cue) cue.inHand = false;
+    this.cueSuggestion = null;
+    this._strike = { vx, vy, tip, from: cue ? { x: cue.x, y: cue.y } : null };
+
+    simService.simulate(this.balls, 0, vx, vy, { tip }).then(result => {
+      this._simPending = false;
+      if (!result) return;
+
+      // In AR mode, start ball tracker: the tracked result is the shot's
+      // outcome (_onTrackDone) and the simulation only animates it
+      const tracked = this.mode === 'ar' && this.arSession.calibrated;
+      if (tracked) this.tracker.start(this.videoEl, this.arSession, this.balls);
+
+      this.renderer.startAnimation(result.frames, this.balls, () => {
+        if (!tracked) this._onShotComplete(result);
+        else if (this.tracker.active) this._setStatus('Tracking the shot…');
+      });
+    }).catch(() => {
+      this._simPending = false;
+      this._setStatus('Shot simulation failed.');
     });
   }
 
-  _recordShotStart() {
+  // manual: aimed by hand, so not necessarily the shown shot
+  _recordShotStart(manual = false) {
     this._shotStartTime = Date.now();
-    const cue = this.balls.find(b => b.id === 0);
+    this._pendingManual = manual;
+    const shot = manual ? { ...this.currentShot, type: 'manual' } : this.currentShot;
     trainingDB.startShot(
       this.balls,
-      { ...this.currentShot, power: this.power },
+      { ...shot, power: this.power, tip: this.tip, player: this.gameState.currentPlayer },
       this.stickResult ? { detected: true, confidence: this.stickResult.confidence, aimDiff: 0 } : null
     ).then(id => { this._pendingShotId = id || -1; }).catch(() => {});
   }
 
+  // Ball the recorded shot meant to pot (a combo's second ball)
+  _intendedBall() {
+    const shot = this.currentShot;
+    if (!shot || this._pendingManual) return undefined;
+    return shot.type === 'combo' ? shot.second?.id : shot.objBall?.id;
+  }
+
   // ── AR mode toggle ────────────────────────────────────────────────────────
   async _startAR() {
     this._setStatus('Starting camera…');
@@ -456,10 +790,7 @@ class App {
         this.selectedBall = hitBall;
         const shots = this.bestShots.filter(s => s.objBall.id === hitBall.id);
         this.currentShot = shots.length > 0 ? shots[0] : null;
-        if (this.currentShot) {
-          const cue = this.balls.find(b => b.id === 0);
-          if (cue) this.currentShot.suggestedPower = suggestedPower(this.currentShot, cue);
-        }
+        this._annotateShot(this.currentShot);
         this._updateShotPanel();
         this._setStatus(`Ball ${hitBall.info?.name} selected.`);
       }
@@ -474,30 +805,42 @@ class App {
     }
 
     if (hitPocket && this.selectedBall) {
-      const cue   = this.balls.find(b => b.id === 0);
       const ghost = shotEngine.ghostBall(this.selectedBall, hitPocket);
-      const cbPath = shotEngine.cueBallPath(cue, ghost, this.selectedBall, 'natural');
       const obPath = shotEngine.objBallPath(this.selectedBall, hitPocket);
       this.currentShot = {
-        objBall: this.selectedBall, pocket: hitPocket, ghost, cbPath, obPath,
-        cut: 0, score: 0, difficulty: null, suggestedPower: suggestedPower({ objBall: this.selectedBall, pocket: hitPocket, ghost, cut: 0 }, cue),
+        objBall: this.selectedBall, pocket: hitPocket, ghost, obPath,
+        cut: 0, score: 0, difficulty: null,
       };
+      this._annotateShot(this.currentShot);
       this._updateShotPanel();
       this._setStatus(`Aim set: ${this.selectedBall.info?.name} → ${hitPocket.label}`);
+      this._callShot(this.selectedBall, hitPocket);
     }
   }
 
   // ── Pointer handling (demo mode) ──────────────────────────────────────────
   _handlePointerDown(cx, cy) {
     this.pointerDown = true;
-    if (this.renderer.animating) return;
+    if (this._shotBusy()) return;
 
     if (this.mode === 'ar') {
       this._handleARTap(cx, cy);
       return;
     }
 
+    // Ball in hand: drag the cue ball, or pick up the suggested spot
+    const sug = this._cueInHand() && this.cueSuggestion;
+    if (sug && this.renderer.hitTestBall(cx, cy, [sug.cue])) {
+      const cue = this.balls.find(b => b.id === 0);
+      if (this.gameState.canPlaceCue(this.balls, sug.cue)) { cue.x = sug.cue.x; cue.y = sug.cue.y; }
+      this.placingCue = true;
+      return;
+    }
     const hit = this.renderer.hitTestBall(cx, cy, this.balls);
+    if (hit?.id === 0 && hit.inHand) {
+      this.placingCue = true;
+      return;
+    }
     if (hit?.id === 0) {
       this.aimMode   = true;
       this.manualAim = { from: { x: hit.x, y: hit.y }, to: null };
@@ -507,25 +850,29 @@ class App {
       this.selectedBall = hit;
       const shots = this.bestShots.filter(s => s.objBall.id === hit.id);
       this.currentShot = shots.length > 0 ? shots[0] : null;
-      if (this.currentShot) {
-        const cue = this.balls.find(b => b.id === 0);
-        if (cue) this.currentShot.suggestedPower = suggestedPower(this.currentShot, cue);
-      }
+      this._annotateShot(this.currentShot);
       this._updateShotPanel();
       return;
     }
 
     const pocket = this.renderer.hitTestPocket(cx, cy);
     if (pocket && this.selectedBall) {
-      const cue   = this.balls.find(b => b.id === 0);
       const ghost = shotEngine.ghostBall(this.selectedBall, pocket);
-      const cbPath = shotEngine.cueBallPath(cue, ghost, this.selectedBall, 'natural');
       const obPath = shotEngine.objBallPath(this.selectedBall, pocket);
-      this.currentShot = { objBall: this.selectedBall, pocket, ghost, cbPath, obPath, cut: 0, score: 0, difficulty: null };
+      this.currentShot = { objBall: this.selectedBall, pocket, ghost, obPath, cut: 0, score: 0, difficulty: null };
+      this._annotateShot(this.currentShot);
+      this._callShot(this.selectedBall, pocket);
     }
   }
 
+  // Call-shot rules: a ball → pocket pick is the player's call
+  _callShot(ball, pocket) {
+    if (!this.gameState.callShot(ball.id, pocket.id)) return;
+    this._setStatus(`Called: ${ball.info?.name || ball.id} in ${pocket.label}`);
+  }
+
   _handlePointerMove(cx, cy) {
+    if (this.placingCue) { this._dragCueInHand(cx, cy); return; }
     if (!this.aimMode || !this.manualAim) return;
     const tp  = this.renderer.canvasToTable(cx, cy);
     const cue = this.balls.find(b => b.id === 0);
@@ -543,16 +890,36 @@ class App {
 
     if (closestBall) {
       const shots  = this.bestShots.filter(s => s.objBall.id === closestBall.id);
-      const pocket = shots.length > 0 ? shots[0].pocket : C.POCKETS[0];
+      const direct = shots.find(s => s.type === 'direct');
+      const pocket = direct ? direct.pocket : C.POCKETS[0];
       this.manualAim.ghost  = shotEngine.ghostBall(closestBall, pocket);
       this.manualAim.obPath = shotEngine.objBallPath(closestBall, pocket);
-      this.manualAim.cbPath = shotEngine.cueBallPath(cue, this.manualAim.ghost, closestBall, 'natural');
+      const spinType = shotEngine.contactSpinType(cue, this.manualAim.ghost, this.power, this.tip);
+      this.manualAim.cbPath = shotEngine.cueBallPath(cue, this.manualAim.ghost, closestBall, spinType);
     } else {
       this.manualAim.ghost = this.manualAim.obPath = this.manualAim.cbPath = null;
     }
   }
 
+  // Moves the cue ball in hand to the pointer, if it may go there
+  _dragCueInHand(cx, cy) {
+    const tp  = this.renderer.canvasToTable(cx, cy);
+    const cue = this.balls.find(b => b.id === 0);
+    if (!this.gameState.canPlaceCue(this.balls, tp)) {
+      this._setStatus(this.gameState.ballInHandAfterScratch && tp.x > C.HEAD_SPOT.x
+        ? 'Ball in hand behind the head string only.'
+        : 'The cue ball can\'t go there.');
+      return;
+    }
+    cue.x = tp.x; cue.y = tp.y;
+  }
+
   _handlePointerUp() {
+    if (this.placingCue) {
+      this.placingCue = false;
+      this._computeBestShots();
+      this._setStatus('Cue ball placed.');
+    }
     if (this.aimMode && this.manualAim?.to) this._executeManualShot();
     this.aimMode   = false;
     this.manualAim = null;
@@ -606,7 +973,22 @@ class App {
     document.getElementById('btn-shoot')?.addEventListener('click', () => this._executeRecommendedShot());
     document.getElementById('btn-random')?.addEventListener('click', () => {
       const raw = parseInt(document.getElementById('ball-count')?.value || '7', 10);
-      this._randomLayout(isNaN(raw) ? 7 : Math.max(1, Math.min(15, raw)));
+      this._randomLayout(isNaN(raw) ? 7 : Math.max(1, Math.min(GameState.ballIds(this.rules).length, raw)));
+    });
+    document.getElementById('rules-select')?.addEventListener('change', (e) => {
+      this.rules = e.target.value;
+      const target = document.getElementById('points-target');
+      if (target) target.style.display = this.rules === RULES.STRAIGHT_POOL ? '' : 'none';
+      this._newGame();
+    });
+    document.getElementById('points-target')?.addEventListener('change', () => this._newGame());
+
+    // 9-ball push-out
+    document.getElementById('btn-push-out')?.addEventListener('click', () => {
+      if (this.gameState.declarePushOut()) this._afterRuleChoice();
+    });
+    document.getElementById('btn-pass-back')?.addEventListener('click', () => {
+      if (this.gameState.passBack()) this._afterRuleChoice();
     });
     document.getElementById('btn-toggle-ai')?.addEventListener('click', (e) => {
       this.showAI = !this.showAI;
@@ -626,9 +1008,71 @@ class App {
         const otherSlider = id === 'power-slider' ? 'power-slider-ar' : 'power-slider';
         const other = document.getElementById(otherSlider);
         if (other) other.value = Math.round(this.power * 100);
+        this._annotateShot(this.currentShot);
       });
     });
 
+    // Cue-tip pads (both demo and AR): drag the dot across the cue-ball diagram
+    ['tip-pad', 'tip-pad-ar'].forEach(id => {
+      const pad = document.getElementById(id);
+      if (!pad) return;
+      let dragging = false;
+      const setFrom = (e) => {
+        const rect = pad.getBoundingClientRect();
+        const src  = e.touches ? e.touches[0] : e;
+        const r    = rect.width / 2;
+        this._setTip((src.clientX - rect.left - r) / r, -(src.clientY - rect.top - r) / r);
+      };
+      const onDown = (e) => { e.preventDefault(); dragging = true; setFrom(e); };
+      const onMove = (e) => { if (!dragging) return; e.preventDefault(); setFrom(e); };
+      const onUp   = () => { dragging = false; };
+      pad.addEventListener('mousedown',  onDown);
+      pad.addEventListener('touchstart', onDown, { passive: false });
+      window.addEventListener('mousemove', onMove);
+      window.addEventListener('touchmove', onMove, { passive: false });
+      window.addEventListener('mouseup',   onUp);
+      window.addEventListener('touchend',  onUp);
+      pad.addEventListener('dblclick', () => this._setTip(0, 0));
+    });
+
+    // Game timeline: undo / redo, and a scrubber that shows each state as it
+    // passes and replays the shot it is let go on
+    document.getElementById('btn-undo')?.addEventListener('click', () => this._undo());
+    document.getElementById('btn-redo')?.addEventListener('click', () => this._redo());
+    const scrubber = document.getElementById('timeline-slider');
+    scrubber?.addEventListener('input', (e) => {
+      if (this._shotBusy()) { this._updateTimeline(); return; }
+      const entry = this.timeline.goTo(parseInt(e.target.value, 10));
+      if (entry) this._restoreEntry(entry);
+    });
+    scrubber?.addEventListener('change', (e) => this._replayShot(parseInt(e.target.value, 10)));
+    window.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, select, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); this._undo(); }
+      else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); this._redo(); }
+    });
+
+    // Layout links
+    document.getElementById('btn-copy-link')?.addEventListener('click', () => this._copyLayoutLink());
+    window.addEventListener('hashchange', () => this._openLayoutLink(location.hash));
+
+    // Saved games: file picker, or drop a file on the table
+    document.getElementById('btn-save-game')?.addEventListener('click', () => this._saveGame());
+    const picker = document.getElementById('game-file');
+    document.getElementById('btn-open-game')?.addEventListener('click', () => picker?.click());
+    picker?.addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      if (file) this._openGameFile(file);
+      e.target.value = '';
+    });
+    this.canvas.addEventListener('dragover', (e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; });
+    this.canvas.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer.files?.[0];
+      if (file) this._openGameFile(file);
+    });
+
     // Felt colour select
     document.getElementById('felt-select')?.addEventListener('change', (e) => {
       this.camManager.setFeltMode(e.target.value);
@@ -638,10 +1082,22 @@ class App {
     document.getElementById('btn-stats')?.addEventListener('click', async () => {
       const stats = await trainingDB.getStats();
       if (!stats) { this._setStatus('No training data yet.'); return; }
-      const msg = `Shots: ${stats.completed} | Success: ${Math.round(stats.successRate * 100)}%`;
+      let msg = `Shots: ${stats.completed} | Success: ${Math.round(stats.successRate * 100)}%`;
+      for (const p of [1, 2]) {
+        const prof = playerProfiles.get(p);
+        if (prof) msg += ` | P${p} aim ±${prof.aimDeg.toFixed(1)}° speed ±${Math.round(prof.speed * 100)}%`;
+      }
       this._setStatus(msg);
     });
 
+    // Table profile: calibrated physics constants
+    document.getElementById('table-profile')?.addEventListener('change', (e) => {
+      tableProfiles.activate(e.target.value);
+      this._computeBestShots();
+      this._setStatus(`Table profile: ${e.target.value}`);
+    });
+    document.getElementById('btn-calibrate-table')?.addEventListener('click', () => this._calibrateTable());
+
     document.getElementById('btn-export')?.addEventListener('click', async () => {
       const json = await trainingDB.exportJSON();
       const blob = new Blob([json], { type: 'application/json' });
@@ -661,6 +1117,54 @@ class App {
     window.addEventListener('resize', () => this.renderer._resize());
   }
 
+  // ── Table profiles ────────────────────────────────────────────────────────
+  _fillTableProfiles() {
+    const sel = document.getElementById('table-profile');
+    if (!sel) return;
+    sel.innerHTML = '';
+    for (const name of tableProfiles.names()) {
+      const opt = document.createElement('option');
+      opt.value = opt.textContent = name;
+      sel.appendChild(opt);
+    }
+    sel.value = tableProfiles.activeName();
+  }
+
+  // Fits the table constants to the tracked AR shots in the training data
+  // (in the sim worker) and saves them as a named, active profile
+  async _calibrateTable() {
+    const records = await trainingDB.getAll();
+    const usable  = tableProfiles.usableShots(records).length;
+    if (usable < tableProfiles.MIN_SHOTS) {
+      this._setStatus(`Calibration needs ${tableProfiles.MIN_SHOTS} tracked AR shots (have ${usable}).`);
+      return;
+    }
+    this._setStatus(`Calibrating table from ${usable} shots…`);
+    const fit = await simService.calibrate(records).catch(() => null);
+    if (!fit) { this._setStatus('Table calibration failed.'); return; }
+
+    const name = prompt('Name this table profile:', `Table ${new Date().toLocaleDateString()}`);
+    if (!name || name === tableProfiles.DEFAULT) { this._setStatus('Calibration discarded.'); return; }
+    tableProfiles.save(name, fit);
+    tableProfiles.activate(name);
+    this._fillTableProfiles();
+    this._computeBestShots();
+
+    const p = fit.params;
+    this._setStatus(`Saved "${name}": roll μ ${p.MU_ROLL.toFixed(4)}, slide μ ${p.MU_SLIDE.toFixed(3)}, ` +
+      `ball COR ${p.COR_BALL.toFixed(3)}, cushion COR ${p.COR_CUSHION.toFixed(2)} ` +
+      `(error ${Math.round(fit.before)} → ${Math.round(fit.error)} mm)`);
+  }
+
+  // ── Cue-tip offset ────────────────────────────────────────────────────────
+  _setTip(a, b) {
+    const off = Math.hypot(a, b);
+    if (off > C.MISCUE_LIMIT) { a *= C.MISCUE_LIMIT / off; b *= C.MISCUE_LIMIT / off; }
+    this.tip = { a, b };
+    this._annotateShot(this.currentShot);
+    this._updateTipHUD();
+  }
+
   // ── UI updates ────────────────────────────────────────────────────────────
   _updateModeBtns() {
     const arBtn = document.getElementById('btn-ar');
@@ -671,24 +1175,50 @@ class App {
     this._updatePlayerPanel();
     this._updateBallsPanel();
     this._updateShotPanel();
+    this._updateTipHUD();
     this._updateARStatus();
   }
 
+  _updateTipHUD() {
+    const { a, b } = this.tip;
+    const vert  = b > 0.1 ? 'Follow' : b < -0.1 ? 'Draw' : '';
+    const side  = a > 0.1 ? 'Right'  : a < -0.1 ? 'Left' : '';
+    const label = [vert, side].filter(Boolean).join(' · ') || 'Centre';
+    ['', '-ar'].forEach(sfx => {
+      const dot = document.querySelector(`#tip-pad${sfx} .tip-dot`);
+      if (dot) { dot.style.left = `${50 + a * 50}%`; dot.style.top = `${50 - b * 50}%`; }
+      const lbl = document.getElementById(`tip-label${sfx}`);
+      if (lbl) lbl.textContent = label;
+    });
+  }
+
   _updatePlayerPanel() {
     const gs = this.gameState;
     const set = (id, val) => { const el = document.getElementById(id); if (el) el.textContent = val; };
-    set('p1-group', gs.groups?.[1] || 'Open');
-    set('p2-group', gs.groups?.[2] || 'Open');
+    const open = gs.rotation ? '—' : 'Open';
+    for (const p of [1, 2]) {
+      if (gs.rules === RULES.STRAIGHT_POOL) {
+        const fouls = gs.fouls[p] ? ` · ${gs.fouls[p]} foul${gs.fouls[p] > 1 ? 's' : ''}` : '';
+        set(`p${p}-group`, `${gs.scores[p]} / ${gs.target}${fouls}`);
+      } else {
+        set(`p${p}-group`, gs.groups?.[p] || open);
+      }
+    }
     set('current-turn', `Player ${gs.currentPlayer}`);
     const ph = document.getElementById('phase-badge');
     if (ph) { ph.textContent = (gs.phase || '').replace('_', ' '); ph.className = `phase-badge phase-${(gs.phase || '').toLowerCase()}`; }
+
+    const show = (id, on) => { const el = document.getElementById(id); if (el) el.style.display = on ? '' : 'none'; };
+    show('btn-push-out',  gs.pushOutAvailable && !gs.pushOut);
+    show('btn-pass-back', gs.passAvailable);
   }
 
   _updateBallsPanel() {
     const el = document.getElementById('balls-remaining');
     if (!el) return;
     el.innerHTML = '';
-    C.BALLS.slice(1).forEach(info => {
+    const inPlay = new Set(this.gameState.ballIds);
+    C.BALLS.filter(info => inPlay.has(info.id)).forEach(info => {
       const span = document.createElement('span');
       span.className = 'ball-chip' + (this.gameState.pocketed.has(info.id) ? ' pocketed' : '');
       span.style.background = info.css;
@@ -702,10 +1232,12 @@ class App {
     const shot = this.currentShot;
     const set = (id, val) => { const el = document.getElementById(id); if (el) el.textContent = val; };
     set('shot-ball',    shot ? `#${shot.objBall.info?.name || shot.objBall.id} (${shot.objBall.info?.type || ''})` : '—');
-    set('shot-pocket',  shot ? shot.pocket.label : '—');
-    set('shot-score',   shot ? `${shot.score}/100` : '—');
+    set('shot-pocket',  shot ? this._pocketLabel(shot) : '—');
+    set('shot-score',   shot ? this._oddsLabel(shot) : '—');
     set('shot-cut',     shot ? `${Math.round(shot.cut)}°` : '—');
     set('shot-candidates', this.bestShots.length > 0 ? `${this.bestShots.length} shots found` : 'No shots');
+    set('shot-expect',  shot ? this._expectLabel(shot) : '—');
+    set('shot-runout',  this.runOut ? this._runOutLabel(this.runOut) : '—');
 
     const power = shot ? Math.round((shot.suggestedPower || 0) * 100) : 0;
     set('shot-power', shot ? `${power}%` : '—');
@@ -720,13 +1252,54 @@ class App {
     const badge = document.getElementById('shot-badge');
     if (badge && shot) {
       badge.querySelector('.badge-ball').textContent  = `#${shot.objBall.info?.name || shot.objBall.id}`;
-      badge.querySelector('.badge-pocket').textContent = shot.pocket.label;
+      badge.querySelector('.badge-pocket').textContent = shot.type === 'safety' ? 'Play safe' : shot.pocket ? shot.pocket.label : 'Kick';
       badge.querySelector('.badge-diff').textContent  = shot.difficulty?.label || '—';
       badge.querySelector('.badge-diff').style.color  = shot.difficulty?.color || '';
       badge.querySelector('.badge-power').textContent = power ? `⚡${power}%` : '';
     }
   }
 
+  // Pocket column of the shot panel, naming banks, kicks and safeties
+  _pocketLabel(shot) {
+    if (shot.type === 'safety') return 'Play safe';
+    if (shot.type === 'kick') return `${shot.rails}-rail kick · ${Math.round(shot.hitChance * 100)}% hit`;
+    if (shot.type === 'bank') return `${shot.pocket.label} (${shot.rails}-rail bank)`;
+    if (shot.type === 'combo') return `${shot.pocket.label} (combo into #${shot.second.info?.name || shot.second.id})`;
+    if (shot.type === 'carom') return `${shot.pocket.label} (carom off #${shot.second.info?.name || shot.second.id})`;
+    return shot.pocket.label;
+  }
+
+  // "3→Bot-Mid, 5→Top-Left, 8→Bot-Right · 34%"
+  _runOutLabel(plan) {
+    const steps = plan.steps.map(st => {
+      const ball = this.balls.find(b => b.id === st.ballId);
+      const pocket = C.POCKETS.find(p => p.id === st.pocketId);
+      return `${ball?.info?.name || st.ballId}→${pocket?.label || '?'}`;
+    });
+    return `${steps.join(', ')} · ${Math.round(plan.prob * 100)}%${plan.complete ? '' : ' (partial)'}`;
+  }
+
+  // "62% make (48–74) · 4% scratch"; kicks and safeties count a legal hit
+  _oddsLabel(shot) {
+    if (!shot.odds) return 'Estimating…';
+    const pct = v => Math.round(v * 100);
+    const { make, scratch } = shot.odds;
+    return `${pct(make.p)}% ${shot.pocket ? 'make' : 'hit'} (${pct(make.lo)}–${pct(make.hi)}) · ${pct(scratch.p)}% scratch`;
+  }
+
+  _expectLabel(shot) {
+    if (shot.type === 'safety') {
+      const e = shot.expected;
+      return `Hides ${e.hidden}/${e.targets} · ${e.railDist} mm off rail`;
+    }
+    const pos = shot.position;
+    if (!pos) return '—';
+    if (!pos.next) return pos.score === 100 ? `Wins the game · ${pos.spin}` : `No shot after · ${pos.spin}`;
+    const ball   = this.balls.find(b => b.id === pos.next.ballId);
+    const pocket = C.POCKETS.find(p => p.id === pos.next.pocketId);
+    return `Leaves #${ball?.info?.name || pos.next.ballId} → ${pocket?.label || '?'} (${pos.next.score}) · ${pos.spin}`;
+  }
+
   _updateARStatus() {
     const el = document.getElementById('ar-status-badge');
     if (!el) return;
@@ -11,15 +11,42 @@ const C = {
   // Friction / restitution (from Dr. Dave Alciatore / Mathavan 2010)
   MU_ROLL:    0.010,
   MU_SLIDE:   0.200,
+  MU_SPIN:    0.013,  // effective spin-friction for z-axis (side) spin decay
   MU_CUSHION: 0.140,
   COR_BALL:   0.930,
-  COR_CUSHION:0.750,
+  // Ball-ball friction μ(v) = A + B·e^(−C·v), v = contact slip in m/s
+  // (Alciatore TP A.14 fit to Marlow's data) – drives throw
+  MU_BALL_A:  0.00995,
+  MU_BALL_B:  0.108,
+  MU_BALL_C:  1.088,
+  COR_CUSHION:0.750,   // peak – slow hits rebound softer (Physics._cushionCOR)
+  CUSHION_NOSE_H: 40.0, // mm – rail nose contact height above the cloth (≈ 7R/5)
   GRAVITY:    9810,   // mm/s²
+  // The ones a calibrated table profile may override (see TableProfiles)
+  TABLE_PARAMS: ['MU_SLIDE', 'MU_ROLL', 'COR_BALL', 'COR_CUSHION'],
 
-  // Pocket acceptance radius (centre of ball to centre of pocket)
+  // Cue-tip strike (Alciatore TP A.30/A.31)
+  CUE_MASS_RATIO:    0.30,  // ball mass / cue mass
+  SQUIRT_MASS_RATIO: 25,    // ball mass / effective cue end mass
+  CUE_ELEVATION:     5,     // degrees – typical butt elevation
+  MISCUE_LIMIT:      0.5,   // max tip offset, as a fraction of BALL_R
+
+  // Nominal pocket radius (centre of ball to centre of pocket) – used by the
+  // shot AI and hit-testing; the physics uses the jaw geometry below.
   POCKET_R_CORNER: 68,
   POCKET_R_SIDE:   75,
 
+  // Pocket jaws, per table cut:
+  //  mouth – distance between the two cushion points (mm)
+  //  angle – facing angle between the rail nose and the jaw facing (deg)
+  //  shelf – depth from the mouth line to the edge of the hole (mm)
+  POCKET_CUTS: {
+    loose:    { corner: { mouth: 127, angle: 143, shelf: 25 }, side: { mouth: 140, angle: 105, shelf: 5  } },
+    standard: { corner: { mouth: 116, angle: 142, shelf: 40 }, side: { mouth: 130, angle: 104, shelf: 10 } },
+    tight:    { corner: { mouth: 105, angle: 141, shelf: 55 }, side: { mouth: 120, angle: 103, shelf: 14 } },
+  },
+  POCKET_CUT: 'standard',
+
   // Simulation
   SIM_DT:       0.003,   // seconds per physics step (3 ms)
   SIM_MAX_TIME: 12,      // seconds before forcing stop
@@ -59,6 +86,28 @@ const C = {
   FOOT_SPOT: { x: 1905, y: 635 },
   HEAD_SPOT: { x: 635,  y: 635 },
 
+  // Player error model (1σ) for hit / make chance estimates
+  AIM_SIGMA_DEG:  0.75,  // cue-ball launch direction, degrees
+  RAIL_SIGMA_DEG: 0.75,  // extra rebound scatter per cushion contact, degrees
+  SPEED_SIGMA:    0.08,  // fraction of the intended cue speed
+  TIP_SIGMA:      0.08,  // tip offset, fraction of BALL_R
+
+  // Monte-Carlo shot odds: noisy simulations per estimate
+  MC_SAMPLES: 48,
+
+  // Below this best offensive score the AI leads with a safety
+  SAFETY_BELOW: 35,
+
+  // Position play: how many top shots get a simulated follow-up, and the
+  // share of their score that comes from the next shot they leave
+  POSITION_TOP:    4,
+  POSITION_WEIGHT: 0.3,
+
+  // Ball-in-hand placement search: grid spacing (mm), and how many of the
+  // best grid spots are refined and then rescored with position play
+  PLACE_GRID: 120,
+  PLACE_TOP:  3,
+
   // Cut angle difficulty thresholds (degrees)
   DIFFICULTY: [
     { max: 15,  label: 'Easy',      color: '#00E676' },
@@ -0,0 +1,207 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  GameFiles – saved layouts and games in progress, as versioned JSON
+//
+//  {
+//    format:    '8ball-game',
+//    version:   1,
+//    saved:     ISO 8601 time,
+//    rules:     '8ball' | '9ball' | '10ball' | '14.1',
+//    balls:     [{ id, x, y, pocketed }]      (mm, table coordinates)
+//    gameState: GameState.snapshot() fields    (optional – a bare layout)
+//    history:   { index, entries: [GameTimeline entry] }   (optional)
+//  }
+//
+//  parse() checks everything it reads and throws an Error naming the
+//  offending field, e.g. 'balls[3].x: expected a number'.
+// ═══════════════════════════════════════════════════════════════════════════
+
+class GameFiles {
+  constructor() {
+    this.FORMAT  = '8ball-game';
+    this.VERSION = 1;
+    this.SLACK   = 0.2;   // mm two balls may overlap by: positions are saved to 0.1 mm
+    this.MAX_SPEED = 15000;   // mm/s – a replayed shot faster than any break is corrupt
+  }
+
+  // ── Writing ──────────────────────────────────────────────────────────────
+  serialize({ balls, gameState = null, timeline = null }) {
+    const out = {
+      format:  this.FORMAT,
+      version: this.VERSION,
+      saved:   new Date().toISOString(),
+      rules:   gameState ? gameState.rules : RULES.EIGHT_BALL,
+      balls:   balls.map(b => ({ id: b.id, x: +b.x.toFixed(1), y: +b.y.toFixed(1), pocketed: !!b.pocketed })),
+    };
+    if (gameState) out.gameState = gameState.snapshot();
+    if (timeline?.entries.length) {
+      out.history = { index: timeline.index, entries: timeline.entries };
+    }
+    return JSON.stringify(out, null, 2);
+  }
+
+  fileName(gameState) {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    return `${gameState.rules}_${stamp}.json`;
+  }
+
+  // ── Reading ──────────────────────────────────────────────────────────────
+  // JSON text → { rules, balls: Ball[], gameState: GameState | null,
+  //               history: { index, entries } | null }
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Not a JSON file (${err.message})`);
+    }
+    this._expect(data && typeof data === 'object' && !Array.isArray(data), '', 'an object');
+    if (data.format !== this.FORMAT) throw new Error(`Not an 8-ball game file (format: ${JSON.stringify(data.format)})`);
+    this._expect(Number.isInteger(data.version) && data.version >= 1, 'version', 'a whole number ≥ 1');
+    if (data.version > this.VERSION) {
+      throw new Error(`Saved by a newer version (v${data.version}); this app reads up to v${this.VERSION}`);
+    }
+    this._expect(Object.values(RULES).includes(data.rules), 'rules', `one of ${Object.values(RULES).join(', ')}`);
+
+    const rules = data.rules;
+    const balls = this._balls(data.balls, rules, 'balls');
+    const gameState = data.gameState === undefined ? null : this._gameState(data.gameState, rules, 'gameState', balls);
+
+    let history = null;
+    if (data.history !== undefined) {
+      const h = data.history;
+      this._expect(h && Array.isArray(h.entries) && h.entries.length > 0, 'history.entries', 'a non-empty array');
+      const entries = h.entries.map((e, i) => this._entry(e, rules, `history.entries[${i}]`));
+      this._expect(Number.isInteger(h.index) && h.index >= 0 && h.index < entries.length,
+                   'history.index', `a whole number from 0 to ${entries.length - 1}`);
+      history = { index: h.index, entries };
+    }
+
+    return { rules, balls: GameTimeline.unpackBalls(balls), gameState, history };
+  }
+
+  // Packed balls ({ id, x, y, pocketed, inHand }), checked
+  _balls(list, rules, path) {
+    this._expect(Array.isArray(list) && list.length > 0, path, 'a non-empty array');
+    const allowed = new Set([0, ...GameState.ballIds(rules)]);
+    const seen = new Set();
+    const balls = list.map((b, i) => {
+      const at = `${path}[${i}]`;
+      this._expect(b && typeof b === 'object', at, 'an object');
+      this._expect(allowed.has(b.id), `${at}.id`, `a ball of ${rules} (0–${allowed.size - 1})`);
+      if (seen.has(b.id)) throw new Error(`${at}.id: ball ${b.id} appears twice`);
+      seen.add(b.id);
+      this._expect(b.pocketed === undefined || typeof b.pocketed === 'boolean', `${at}.pocketed`, 'true or false');
+      if (b.pocketed) {
+        this._expect(Number.isFinite(b.x) && b.x >= 0 && b.x <= C.TABLE_W, `${at}.x`, `a number from 0 to ${C.TABLE_W}`);
+        this._expect(Number.isFinite(b.y) && b.y >= 0 && b.y <= C.TABLE_H, `${at}.y`, `a number from 0 to ${C.TABLE_H}`);
+      } else {
+        this._expect(Number.isFinite(b.x), `${at}.x`, 'a number');
+        this._expect(Number.isFinite(b.y), `${at}.y`, 'a number');
+        if (!physics.canRest(b)) throw new Error(`${at}: ball ${b.id} is inside a cushion`);
+      }
+      return { id: b.id, x: b.x, y: b.y, pocketed: !!b.pocketed, inHand: !!b.inHand };
+    });
+    if (!seen.has(0)) throw new Error(`${path}: no cue ball (id 0)`);
+
+    const onTable = balls.filter(b => !b.pocketed);
+    for (let i = 0; i < onTable.length; i++) {
+      for (let j = i + 1; j < onTable.length; j++) {
+        const [a, b] = [onTable[i], onTable[j]];
+        if (V.dist(a, b) < C.BALL_R * 2 - this.SLACK) throw new Error(`${path}: balls ${a.id} and ${b.id} overlap`);
+      }
+    }
+    return balls;
+  }
+
+  // A GameState snapshot → GameState. Fields are checked against the types
+  // a fresh GameState has, and the ones holding balls, players or counts
+  // against what they may hold; ones this version doesn't know are dropped.
+  //  balls: the packed balls it goes with – a ball it counts as pocketed
+  //  must not be on the table
+  _gameState(snap, rules, path, balls) {
+    this._expect(snap && typeof snap === 'object' && !Array.isArray(snap), path, 'an object');
+    if (snap.rules !== undefined && snap.rules !== rules) {
+      throw new Error(`${path}.rules: ${JSON.stringify(snap.rules)} does not match the file's rules (${rules})`);
+    }
+    const fresh = new GameState(rules);
+    const ids = new Set(GameState.ballIds(rules));
+    this._expect(Object.values(GAME_PHASE).includes(snap.phase), `${path}.phase`, `one of ${Object.values(GAME_PHASE).join(', ')}`);
+    this._expect(snap.currentPlayer === 1 || snap.currentPlayer === 2, `${path}.currentPlayer`, '1 or 2');
+    this._expect(Array.isArray(snap.pocketed) && snap.pocketed.every(id => ids.has(id)),
+                 `${path}.pocketed`, `an array of ball numbers of ${rules}`);
+    const left = snap.pocketed.find(id => balls.some(b => b.id === id && !b.pocketed));
+    if (left !== undefined) throw new Error(`${path}.pocketed: ball ${left} is still on the table`);
+
+    const clean = { rules, pocketed: snap.pocketed };
+    for (const [k, def] of Object.entries(fresh)) {
+      if (k === 'rules' || k === 'pocketed' || snap[k] === undefined) continue;
+      const v = snap[k];
+      const ok = v === null || def === null || (Array.isArray(def) ? Array.isArray(v) : typeof v === typeof def);
+      this._expect(ok, `${path}.${k}`, Array.isArray(def) ? 'an array' : typeof def === 'object' ? 'an object' : `a ${typeof def}`);
+      clean[k] = v;
+    }
+    for (const k of ['groups', 'fouls', 'scores']) {
+      const v = clean[k];
+      if (v === undefined) continue;
+      this._expect(v && typeof v === 'object' && !Array.isArray(v), `${path}.${k}`, 'an object with keys 1 and 2');
+    }
+    for (const p of [1, 2]) {
+      const g = clean.groups?.[p];
+      this._expect(g == null || g === 'solids' || g === 'stripes', `${path}.groups.${p}`, "'solids', 'stripes' or null");
+      if (clean.fouls) this._expect(Number.isInteger(clean.fouls[p]) && clean.fouls[p] >= 0, `${path}.fouls.${p}`, 'a whole number ≥ 0');
+      if (clean.scores) this._expect(Number.isInteger(clean.scores[p]), `${path}.scores.${p}`, 'a whole number');
+    }
+
+    const { winner, foulReason, call, respot } = clean;
+    this._expect(winner == null || winner === 1 || winner === 2, `${path}.winner`, '1, 2 or null');
+    this._expect(foulReason == null || typeof foulReason === 'string', `${path}.foulReason`, 'a string or null');
+    this._expect(call == null || (typeof call === 'object' && ids.has(call.ballId) && C.POCKETS.some(p => p.id === call.pocketId)),
+                 `${path}.call`, `null or { ballId, pocketId } with a ball of ${rules} and a pocket 0–${C.POCKETS.length - 1}`);
+    this._expect(respot === undefined || respot.every(id => ids.has(id)), `${path}.respot`, `an array of ball numbers of ${rules}`);
+    return GameState.fromSnapshot(clean);
+  }
+
+  _entry(e, rules, path) {
+    this._expect(e && typeof e === 'object', path, 'an object');
+    const shot = e.shot == null ? null : this._shot(e.shot, `${path}.shot`);
+    const balls = this._balls(e.balls, rules, `${path}.balls`);
+    const gameState = this._gameState(e.gameState, rules, `${path}.gameState`, balls);
+    return {
+      balls,
+      gameState: gameState.snapshot(),
+      shot,
+      player:    gameState.currentPlayer,
+    };
+  }
+
+  // The strike a timeline entry replays: { vx, vy, tip, from }
+  _shot(s, path) {
+    this._expect(typeof s === 'object', path, 'an object or null');
+    this._expect(Number.isFinite(s.vx) && Number.isFinite(s.vy) && Math.hypot(s.vx, s.vy) <= this.MAX_SPEED,
+                 `${path}.vx/vy`, `numbers for a speed up to ${this.MAX_SPEED} mm/s`);
+
+    const tip = s.tip ?? null;
+    this._expect(tip === null || (typeof tip === 'object' && [tip.a, tip.b].every(v => Number.isFinite(v) && Math.abs(v) <= 1)),
+                 `${path}.tip`, 'null or { a, b } with offsets from -1 to 1');
+
+    const from = s.from ?? null;
+    this._expect(from === null || (typeof from === 'object' && Number.isFinite(from.x) && Number.isFinite(from.y) &&
+                                   physics.canRest(from)),
+                 `${path}.from`, 'null or { x, y } on the table');
+
+    return {
+      vx:   s.vx,
+      vy:   s.vy,
+      tip:  tip && { a: tip.a, b: tip.b },
+      from: from && { x: from.x, y: from.y },
+    };
+  }
+
+  _expect(ok, path, what) {
+    if (!ok) throw new Error(`${path ? path + ': ' : ''}expected ${what}`);
+  }
+}
+
+const gameFiles = new GameFiles();
@@ -1,19 +1,37 @@
 'use strict';
 
 // ═══════════════════════════════════════════════════════════════════════════
-//  8-Ball Game State Machine
+//  Game State Machine – 8-ball, 9-ball / 10-ball rotation rules, and
+//  straight pool (14.1 continuous) to a points target
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Three fouls in a row (WPA): lose the game in 9- and 10-ball, cost 15
+// points and a re-rack in 14.1, and carry no extra penalty in 8-ball.
+const RULES = {
+  EIGHT_BALL: '8ball',
+  NINE_BALL:  '9ball',
+  TEN_BALL:   '10ball',   // 9-ball rotation, but every shot is called
+  STRAIGHT_POOL: '14.1',  // any ball, called, one point each
+};
+
 const GAME_PHASE = {
   BREAK:         'BREAK',
   OPEN_TABLE:    'OPEN_TABLE',
   ASSIGNED_PLAY: 'ASSIGNED_PLAY',
   SHOOTING_8:    'SHOOTING_8',
+  ROTATION:      'ROTATION',     // 9- / 10-ball: lowest ball first
+  CALL_SHOT:     'CALL_SHOT',    // 14.1: any ball, called
   GAME_OVER:     'GAME_OVER',
 };
 
 class GameState {
-  constructor() {
+  // target:               straight pool points needed to win the match
+  // headStringAfterBreak: house rule – ball in hand after a break scratch
+  //                       is behind the head string
+  constructor(rules = RULES.EIGHT_BALL, { target = 50, headStringAfterBreak = true } = {}) {
+    this.rules  = rules;
+    this.target = target;
+    this.headStringAfterBreak = headStringAfterBreak;
     this.reset();
   }
 
@@ -26,8 +44,23 @@ class GameState {
     this.winner      = null;
     this.message     = 'Break! Player 1 shoots.';
     this.foul        = false;
+    this.foulReason  = null;  // why the last shot was a foul, e.g. 'no rail after contact'
     this.ballInHand  = false;
-    this.ballInHandAfterScratch = false;
+    this.ballInHandAfterScratch = false;   // ball in hand only behind the head string
+    this.fouls       = { 1: 0, 2: 0 };    // consecutive fouls per player
+    this.respot      = [];    // ball ids App must put back on the foot spot
+    this.call        = null;  // call-shot rules: { ballId, pocketId } for the coming shot
+
+    // Rotation push-out: offered on the shot after the break; after one (or,
+    // in 10-ball, a missed call that pocketed a ball) the incoming player
+    // may pass the table back
+    this.pushOutAvailable = false;
+    this.pushOut          = false;   // declared for the coming shot
+    this.passAvailable    = false;
+
+    // Straight pool
+    this.scores = { 1: 0, 2: 0 };
+    this.rerack = 0;                 // balls App must re-rack (14, or 15 after a third foul)
   }
 
   get oppositePlayer() { return this.currentPlayer === 1 ? 2 : 1; }
@@ -38,21 +71,63 @@ class GameState {
   get solidIds()  { return [1, 2, 3, 4, 5, 6, 7]; }
   get stripeIds() { return [9, 10, 11, 12, 13, 14, 15]; }
 
+  // Object balls in play under the rule set
+  get ballIds() { return GameState.ballIds(this.rules); }
+
+  // The ball that wins the game (none in straight pool)
+  get gameBall() {
+    if (this.rules === RULES.STRAIGHT_POOL) return null;
+    return this.rotation ? this.ballIds[this.ballIds.length - 1] : 8;
+  }
+
+  // Lowest ball first, no groups
+  get rotation() { return this.rules === RULES.NINE_BALL || this.rules === RULES.TEN_BALL; }
+
+  // A pocketed ball only counts in the pocket it was called for
+  get callShots() { return this.rules === RULES.TEN_BALL || this.rules === RULES.STRAIGHT_POOL; }
+
+  static ballIds(rules) {
+    const n = { [RULES.NINE_BALL]: 9, [RULES.TEN_BALL]: 10 }[rules] ?? 15;
+    return Array.from({ length: n }, (_, i) => i + 1);
+  }
+
+  lowestBall(pocketed = this.pocketed) {
+    return this.ballIds.find(id => !pocketed.has(id)) ?? null;
+  }
+
   groupIds(group) {
     if (group === 'solids')  return this.solidIds;
     if (group === 'stripes') return this.stripeIds;
     return [];
   }
 
-  remainingForPlayer(player) {
+  // Balls `player` would be shooting at with `pocketed` off the table
+  remainingForPlayer(player, pocketed = this.pocketed) {
+    if (this.rules === RULES.STRAIGHT_POOL) return this.ballIds.filter(id => !pocketed.has(id));
+    if (this.rotation) {
+      const low = this.lowestBall(pocketed);
+      return low === null ? [] : [low];
+    }
     const g = this.groups[player];
-    if (!g) return this.phase === GAME_PHASE.SHOOTING_8 ? [8] : [...this.solidIds, ...this.stripeIds];
-    const ids = this.groupIds(g).filter(id => !this.pocketed.has(id));
+    if (!g) {
+      if (this.phase === GAME_PHASE.SHOOTING_8) return [8];
+      return [...this.solidIds, ...this.stripeIds].filter(id => !pocketed.has(id));
+    }
+    const ids = this.groupIds(g).filter(id => !pocketed.has(id));
     return ids.length === 0 ? [8] : ids;
   }
 
   // Legal target balls for the current player
   legalTargets() {
+    if (this.rules === RULES.STRAIGHT_POOL) {
+      return this.phase === GAME_PHASE.GAME_OVER ? [] : this.remainingForPlayer(this.currentPlayer);
+    }
+    if (this.rotation) {
+      if (this.phase === GAME_PHASE.GAME_OVER) return [];
+      // A push-out may be played at anything
+      if (this.pushOut) return this.ballIds.filter(id => !this.pocketed.has(id));
+      return this.remainingForPlayer(this.currentPlayer);
+    }
     if (this.phase === GAME_PHASE.BREAK || this.phase === GAME_PHASE.OPEN_TABLE) {
       // May hit any ball (besides cue) – any solid/stripe pocket assigns group
       return [...this.solidIds, ...this.stripeIds].filter(id => !this.pocketed.has(id));
@@ -67,18 +142,83 @@ class GameState {
     return [];
   }
 
+  // Balls that count for the shooter when pocketed on a legal shot: in
+  // rotation any ball (in 10-ball, once called), as long as the lowest is
+  // hit first; in straight pool the legal targets, once called
+  pottableTargets() {
+    if (this.rotation) {
+      return this.pushOut ? [] : this.ballIds.filter(id => !this.pocketed.has(id));
+    }
+    return this.legalTargets();
+  }
+
+  // Call-shot rules: the shooter names ball and pocket for the coming shot
+  callShot(ballId, pocketId) {
+    if (!this.callShots || this.phase === GAME_PHASE.GAME_OVER) return false;
+    if (this.rotation && this.phase === GAME_PHASE.BREAK) return false;   // 10-ball breaks uncalled
+    this.call = { ballId, pocketId };
+    return true;
+  }
+
+  // Rotation: the shooter declares the coming shot a push-out
+  declarePushOut() {
+    if (!this.pushOutAvailable) return false;
+    this.pushOut = true;
+    this.message = `Player ${this.currentPlayer}: Push out – any ball, no rail needed`;
+    return true;
+  }
+
+  // Rotation: hand the table back to the player who pushed out (or missed
+  // the call)
+  passBack() {
+    if (!this.passAvailable) return false;
+    this.passAvailable = false;
+    this._switchTurn();
+    this._buildMessage();
+    return true;
+  }
+
   // Called after a shot completes. newPocketed = Set<id> pocketed this shot.
   // scratchCueBall = true if cue ball was pocketed.
-  processShot(newPocketed, scratchCueBall = false) {
-    this.foul = false;
-    this.ballInHand = false;
-    let madeOwnBall = false;
-    let madeCueBall = scratchCueBall;
+  // events = the shot's ordered contact log (Physics.simulate / BallTracker:
+  // 'ball', 'rail' and 'pocket' entries). With it, a wrong first contact or
+  // no rail after contact is a foul too, and call-shot rules see which
+  // pocket each ball dropped in.
+  // Three consecutive fouls by a player lose a rotation game (in straight
+  // pool they cost 15 points instead; see RULES).
+  processShot(newPocketed, scratchCueBall = false, events = null) {
+    const shooter   = this.currentPlayer;
+    const breakShot = this.phase === GAME_PHASE.BREAK;
+    const straight  = this.rules === RULES.STRAIGHT_POOL;
+    this.foulReason = this._foulReason(scratchCueBall, events);
+    const foul = !!this.foulReason;
+    this.fouls[shooter] = foul ? this.fouls[shooter] + 1 : 0;
+
+    // Cue ball behind the head string: after any straight pool scratch, or
+    // a break scratch under house rules
+    this.ballInHandAfterScratch = scratchCueBall && (straight || (breakShot && this.headStringAfterBreak));
+
+    if (straight) {
+      this._processStraightPool(newPocketed, foul, scratchCueBall, GameState.pocketsOf(events || []));
+    } else if (this.rotation) {
+      this._processRotation(newPocketed, foul, GameState.pocketsOf(events || []));
+    } else {
+      this._processEightBall(newPocketed, foul);
+    }
 
-    if (scratchCueBall) {
-      this.foul = true;
-      this.ballInHand = true;
+    if (this.rotation && this.foul && this.fouls[shooter] >= 3 && this.phase !== GAME_PHASE.GAME_OVER) {
+      this.ballInHand = false;
+      this.winner = shooter === 1 ? 2 : 1;
+      this.phase = GAME_PHASE.GAME_OVER;
+      this.message = `Player ${this.winner} wins! (three fouls in a row by Player ${shooter})`;
     }
+  }
+
+  _processEightBall(newPocketed, foul) {
+    this.foul = foul;
+    this.ballInHand = foul;
+    let madeOwnBall = false;
+    const onEight = this.phase === GAME_PHASE.SHOOTING_8;   // before this shot
 
     for (const id of newPocketed) {
       if (id === 0) continue; // cue ball handled separately
@@ -97,7 +237,7 @@ class GameState {
         return;
       }
 
-      if (!scratchCueBall && (solPocketed.length + strPocketed.length) > 0) {
+      if (!this.foul && (solPocketed.length + strPocketed.length) > 0) {
         // Assign groups based on more balls pocketed (or first pocketed if tie)
         if (solPocketed.length > strPocketed.length) {
           this.groups[1] = 'solids'; this.groups[2] = 'stripes';
@@ -120,7 +260,7 @@ class GameState {
       const solPocketed = this.solidIds.filter(id => newPocketed.has(id));
       const strPocketed = this.stripeIds.filter(id => newPocketed.has(id));
 
-      if (!scratchCueBall && (solPocketed.length + strPocketed.length) > 0) {
+      if (!this.foul && (solPocketed.length + strPocketed.length) > 0) {
         if (solPocketed.length >= strPocketed.length) {
           this.groups[this.currentPlayer] = 'solids';
           this.groups[this.oppositePlayer] = 'stripes';
@@ -136,7 +276,7 @@ class GameState {
     if (this.phase === GAME_PHASE.ASSIGNED_PLAY) {
       const myGroup = this.groupIds(this.currentGroup);
       const myPocketed = myGroup.filter(id => newPocketed.has(id));
-      madeOwnBall = myPocketed.length > 0 && !scratchCueBall;
+      madeOwnBall = myPocketed.length > 0 && !this.foul;
 
       // Check if player cleared their group
       const remaining = myGroup.filter(id => !this.pocketed.has(id));
@@ -147,7 +287,7 @@ class GameState {
 
     if (this.phase === GAME_PHASE.SHOOTING_8) {
       if (newPocketed.has(8)) {
-        if (scratchCueBall || this.foul) {
+        if (this.foul) {
           this.winner = this.oppositePlayer;
           this.phase = GAME_PHASE.GAME_OVER;
           this.message = `Player ${this.oppositePlayer} wins! (Foul on 8-ball)`;
@@ -160,9 +300,12 @@ class GameState {
       }
       // Shot missed 8-ball or pocketed wrong ball – foul
       const wrongBalls = this.groupIds(this.currentGroup).filter(id => newPocketed.has(id));
-      if (wrongBalls.length > 0 && !scratchCueBall) {
+      // (the last group ball, potted this shot, is not one)
+      if (onEight && wrongBalls.length > 0 && !this.foul) {
         // Accidentally pocketed own group ball when should shoot 8
         this.foul = true;
+        this.foulReason = 'group ball on the 8';
+        this.fouls[this.currentPlayer]++;
         this.ballInHand = true;
       }
     }
@@ -177,6 +320,135 @@ class GameState {
     this._buildMessage();
   }
 
+  // Foul on the shot about to be processed, or null: a scratch, and with a
+  // contact log a first hit that is not a legal target, or no ball reaching
+  // a rail (or a pocket) after contact. A push-out needs neither.
+  _foulReason(scratchCueBall, events) {
+    if (scratchCueBall) return 'scratch';
+    if (!events || this.pushOut) return null;
+    const first = events.find(e => e.type === 'ball' && (e.a === 0 || e.b === 0));
+    if (!first) return 'no ball hit';
+    const hit = first.a === 0 ? first.b : first.a;
+    if (!this.legalTargets().includes(hit)) return `hit the ${hit} first`;
+    const after = events.slice(events.indexOf(first) + 1);
+    if (!after.some(e => e.type === 'rail' || (e.type === 'pocket' && e.ball !== 0))) return 'no rail after contact';
+    return null;
+  }
+
+  // 9- / 10-ball: lowest ball first, a pocketed ball keeps the turn – in 10-ball only
+  // the called ball in the called pocket – and a legal game ball wins at any
+  // time (in 10-ball: called, and not on the break). A game ball pocketed
+  // any other way is re-spotted.
+  _processRotation(newPocketed, foul, pocketOf) {
+    const gameBall  = this.gameBall;
+    const breakShot = this.phase === GAME_PHASE.BREAK;
+    const pushOut   = this.pushOut;
+    const call      = this.call;
+    this.foul = foul;
+    this.ballInHand = foul;
+    this.respot = [];
+    this.call = null;
+    this.pushOut = false;
+    this.pushOutAvailable = breakShot;
+    this.passAvailable = false;
+    this.phase = GAME_PHASE.ROTATION;
+
+    for (const id of newPocketed) {
+      if (id !== 0) this.pocketed.add(id);
+    }
+
+    const made   = [...newPocketed].some(id => id !== 0);
+    const counts = !this.callShots || breakShot ? made
+      : !!call && newPocketed.has(call.ballId) && pocketOf?.get(call.ballId) === call.pocketId;
+
+    if (newPocketed.has(gameBall)) {
+      const wins = !this.foul && !pushOut && counts && (!this.callShots || (!breakShot && call.ballId === gameBall));
+      if (wins) {
+        this.winner = this.currentPlayer;
+        this.phase = GAME_PHASE.GAME_OVER;
+        this.message = `Player ${this.currentPlayer} wins! (${gameBall}-ball)`;
+        return;
+      }
+      this.pocketed.delete(gameBall);
+      this.respot.push(gameBall);
+    }
+
+    if (pushOut && !this.foul) {
+      this._switchTurn();
+      this.passAvailable = true;
+    } else if (this.foul || !made) {
+      this._switchTurn();
+    } else if (!counts) {
+      // Missed call with balls down: the incoming player's option
+      this._switchTurn();
+      this.passAvailable = true;
+    }
+
+    this._buildMessage();
+  }
+
+  // Straight pool: a called ball in the called pocket scores a point for
+  // every ball down and keeps the turn; otherwise the balls down are
+  // re-spotted. A foul costs a point (two on the break), and a third
+  // consecutive foul another 15 plus a full re-rack for the offender to
+  // break. Only a scratch gives ball in hand; after other fouls the cue
+  // ball is played from where it lies. With one ball left the other 14 are
+  // re-racked around it.
+  _processStraightPool(newPocketed, foul, scratchCueBall, pocketOf) {
+    const p         = this.currentPlayer;
+    const breakShot = this.phase === GAME_PHASE.BREAK;
+    const call      = this.call;
+    this.foul = foul;
+    this.ballInHand = scratchCueBall;
+    this.respot = [];
+    this.call = null;
+    this.rerack = 0;
+    this.phase = GAME_PHASE.CALL_SHOT;
+
+    const down   = [...newPocketed].filter(id => id !== 0);
+    const counts = !this.foul && !!call && newPocketed.has(call.ballId) && pocketOf?.get(call.ballId) === call.pocketId;
+    if (counts) {
+      down.forEach(id => this.pocketed.add(id));
+      this.scores[p] += down.length;
+    } else {
+      this.respot.push(...down);
+    }
+
+    if (this.foul) {
+      this.scores[p] -= breakShot ? 2 : 1;
+      if (this.fouls[p] >= 3) {
+        this.scores[p] -= 15;
+        this.fouls[p] = 0;
+        this.pocketed.clear();
+        this.respot = [];
+        this.rerack = 15;
+        this.phase = GAME_PHASE.BREAK;
+        this.ballInHand = true;
+        this.ballInHandAfterScratch = true;
+        this.message = `Player ${p}: third foul – 15 point penalty, re-rack and break`;
+        return;
+      }
+    }
+
+    if (this.scores[p] >= this.target) {
+      this.winner = p;
+      this.phase = GAME_PHASE.GAME_OVER;
+      this.message = `Player ${p} wins ${this.scores[p]}–${this.scores[this.oppositePlayer]}!`;
+      return;
+    }
+
+    // Down to the last ball: the other 14 go back in the rack (all 15 if
+    // the last two dropped together)
+    const left = this.ballIds.length - this.pocketed.size;
+    if (left <= 1) {
+      this.pocketed.clear();
+      this.rerack = left === 1 ? 14 : 15;
+    }
+
+    if (!counts) this._switchTurn();
+    this._buildMessage();
+  }
+
   _switchTurn() {
     this.currentPlayer = this.oppositePlayer;
   }
@@ -185,7 +457,8 @@ class GameState {
     if (this.phase === GAME_PHASE.GAME_OVER) return;
     const p = this.currentPlayer;
     const g = this.groups[p];
-    const foulStr = this.foul ? ' (Foul – ball in hand) ' : '';
+    const inHand  = !this.ballInHand ? '' : this.ballInHandAfterScratch ? ' – ball in hand behind the head string' : ' – ball in hand';
+    const foulStr = this.foul ? ` (Foul: ${this.foulReason}${inHand}) ` : '';
     if (this.phase === GAME_PHASE.BREAK) {
       this.message = `Player ${p}: Break!`;
     } else if (this.phase === GAME_PHASE.OPEN_TABLE) {
@@ -194,20 +467,82 @@ class GameState {
       this.message = `Player ${p}: Shoot ${g}${foulStr}`;
     } else if (this.phase === GAME_PHASE.SHOOTING_8) {
       this.message = `Player ${p}: Shoot the 8-ball!${foulStr}`;
+    } else if (this.phase === GAME_PHASE.ROTATION) {
+      const option = this.passAvailable    ? ' – play on or pass it back'
+                   : this.pushOutAvailable ? ' – push out allowed' : '';
+      this.message = `Player ${p}: Hit the ${this.lowestBall()} first${foulStr}${option}`;
+    } else if (this.phase === GAME_PHASE.CALL_SHOT) {
+      const rerack = this.rerack ? ' – re-racked' : '';
+      this.message = `Player ${p}: Call any ball (${this.scores[p]}/${this.target})${foulStr}${rerack}`;
     }
+    if (this.fouls[p] === 2 && this.rules !== RULES.EIGHT_BALL) this.message += ' – on two fouls';
   }
 
-  // ── Standard 8-ball break rack ──────────────────────────────────────────
-  static makeRackBalls() {
+  // Whether the ball-in-hand cue ball may go at `pt`: on the cloth, clear of
+  // every other ball and, when restricted, behind the head string (which
+  // runs through the head spot)
+  canPlaceCue(balls, pt) {
+    const R = C.BALL_R;
+    if (pt.x < R || pt.x > C.TABLE_W - R || pt.y < R || pt.y > C.TABLE_H - R) return false;
+    if (this.ballInHandAfterScratch && pt.x > C.HEAD_SPOT.x) return false;
+    return balls.every(b => b.id === 0 || b.pocketed || V.dist(b, pt) >= R * 2);
+  }
+
+  // A legal spot for the ball-in-hand cue ball near `from` (default the
+  // head spot): `from` itself, else the nearest legal point on rings around it
+  cueSpot(balls, from = C.HEAD_SPOT) {
+    if (this.canPlaceCue(balls, from)) return { x: from.x, y: from.y };
+    for (let r = C.BALL_R; r < C.TABLE_W; r += C.BALL_R) {
+      for (let k = 0; k < 24; k++) {
+        const a  = (k / 24) * Math.PI * 2;
+        const pt = { x: from.x + Math.cos(a) * r, y: from.y + Math.sin(a) * r };
+        if (this.canPlaceCue(balls, pt)) return pt;
+      }
+    }
+    return { x: C.HEAD_SPOT.x, y: C.HEAD_SPOT.y };
+  }
+
+  // Where each ball dropped, from a Physics.simulate event log
+  static pocketsOf(events = []) {
+    return new Map(events.filter(e => e.type === 'pocket').map(e => [e.ball, e.pocket]));
+  }
+
+  // ── Snapshots ───────────────────────────────────────────────────────────
+  // Plain JSON-safe copy of every field (pocketed as an array)
+  snapshot() {
+    return JSON.parse(JSON.stringify({ ...this, pocketed: [...this.pocketed] }));
+  }
+
+  static fromSnapshot(snap) {
+    const gs = Object.assign(new GameState(snap.rules), JSON.parse(JSON.stringify(snap)));
+    gs.pocketed = new Set(snap.pocketed);
+    return gs;
+  }
+
+  // ── Break rack ──────────────────────────────────────────────────────────
+  static makeRackBalls(rules = RULES.EIGHT_BALL) {
     const R  = C.BALL_R;
     const fs = C.FOOT_SPOT;
     const dx = R * 2 * Math.cos(V.toRad(0));   // horizontal spacing
     const dy = R * 2 * Math.sin(V.toRad(60));  // vertical spacing (60°)
 
-    // Rack template: 5 rows, 15 balls
-    // Row positions relative to foot spot apex
-    // Standard 8-ball rack: 8 in center, corners mixed
-    const rackOrder = [
+    // Rack template: rows relative to the foot spot apex
+    // 8-ball: 5-row triangle, 8 in center, corners mixed
+    // 9-ball: diamond, 1 on the spot, 9 in center
+    // 10-ball: 4-row triangle, 1 on the spot, 10 in center
+    // Straight pool uses the 8-ball triangle
+    const rackOrder = rules === RULES.NINE_BALL ? [
+      /* row 0 */ [1],
+      /* row 1 */ [2, 3],
+      /* row 2 */ [4, 9, 5],
+      /* row 3 */ [6, 7],
+      /* row 4 */ [8],
+    ] : rules === RULES.TEN_BALL ? [
+      /* row 0 */ [1],
+      /* row 1 */ [2, 3],
+      /* row 2 */ [4, 10, 5],
+      /* row 3 */ [6, 7, 8, 9],
+    ] : [
       /* row 0 */ [1],
       /* row 1 */ [10, 2],
       /* row 2 */ [9, 8, 3],
@@ -222,8 +557,9 @@ class GameState {
 
     rackOrder.forEach((row, ri) => {
       row.forEach((ballId, ci) => {
-        const x = fs.x + ri * dy * 1.01;  // slight padding to avoid overlap
-        const y = fs.y + (ci - (row.length - 1) / 2) * R * 2.02;
+        // Frozen rack: balls touch exactly, the event solver handles contact at t = 0
+        const x = fs.x + ri * dy;
+        const y = fs.y + (ci - (row.length - 1) / 2) * dx;
         balls.push(new Ball(ballId, x, y));
       });
     });
@@ -231,8 +567,57 @@ class GameState {
     return balls;
   }
 
+  // Puts a ball back on the foot spot, or the nearest free point on the
+  // long string behind it (then in front of it)
+  static spotBall(balls, id) {
+    const ball = balls.find(b => b.id === id);
+    if (!ball) return;
+    const step = C.BALL_R * 2;
+    const free = x => balls.every(b => b === ball || b.pocketed || V.dist(b, { x, y: C.FOOT_SPOT.y }) >= step);
+    let x = C.FOOT_SPOT.x;
+    while (!free(x) && x + step < C.TABLE_W - C.BALL_R) x += 1;
+    if (!free(x)) {
+      x = C.FOOT_SPOT.x;
+      while (!free(x) && x > C.BALL_R) x -= 1;
+    }
+    Object.assign(ball, { x, y: C.FOOT_SPOT.y, vx: 0, vy: 0, wx: 0, wy: 0, wz: 0, pocketed: false });
+  }
+
+  // Straight pool re-rack (count from GameState.rerack). 15: every object
+  // ball back in the triangle. 14: all but the ball still in play, apex
+  // left empty; that ball goes to the head spot (or the centre of the
+  // table) if it is in the way. An in-the-way cue ball – or any, for a
+  // re-break – goes to the head string. Pocketed object balls come back
+  // onto the table.
+  static rerackBalls(balls, count, { rebreak = false } = {}) {
+    const slots = GameState.makeRackBalls(RULES.STRAIGHT_POOL).filter(b => b.id !== 0);
+    const objects = balls.filter(b => b.id !== 0);
+    const left = count === 14 ? objects.find(b => !b.pocketed) : null;
+    const racked = objects.filter(b => b !== left);
+    const free = count === 14 ? slots.slice(1) : slots;
+    racked.forEach((b, i) => {
+      const slot = free[i];
+      if (slot) Object.assign(b, { x: slot.x, y: slot.y, vx: 0, vy: 0, wx: 0, wy: 0, wz: 0, pocketed: false });
+    });
+
+    const inRack = b => slots.some(s => V.dist(s, b) < C.BALL_R * 2);
+    const clear  = (pt, self) => balls.every(b => b === self || b.pocketed || V.dist(b, pt) >= C.BALL_R * 2);
+    if (left && inRack(left)) {
+      const centre = { x: C.TABLE_W / 2, y: C.TABLE_H / 2 };
+      Object.assign(left, clear(C.HEAD_SPOT, left) ? C.HEAD_SPOT : centre);
+    }
+    const cue = balls.find(b => b.id === 0);
+    if (cue && !cue.pocketed && (rebreak || inRack(cue))) {
+      const spot = { ...C.HEAD_SPOT };
+      while (!clear(spot, cue) && spot.x > C.BALL_R) spot.x -= 1;
+      Object.assign(cue, spot);
+    }
+  }
+
   // ── Random layout for demo ──────────────────────────────────────────────
-  static makeRandomBalls(count = 7) {
+  // `count` object balls, always including the game ball; the rest of the
+  // rule set's balls count as pocketed (see App._layoutState)
+  static makeRandomBalls(count = 7, rules = RULES.EIGHT_BALL) {
     const R    = C.BALL_R;
     const margin = R * 3;
     const W = C.TABLE_W - margin * 2;
@@ -244,12 +629,14 @@ class GameState {
     balls.push(new Ball(0, C.HEAD_SPOT.x, C.HEAD_SPOT.y));
     used.add(0);
 
-    // Random set of object balls
-    const ids = [1,2,3,4,5,6,7,8,9,10,11,12,13,14,15];
+    // Random set of object balls, game ball first
+    const game = new GameState(rules).gameBall;
+    const ids = GameState.ballIds(rules).filter(id => id !== game);
     for (let i = ids.length - 1; i > 0; i--) {
       const j = Math.floor(Math.random() * (i + 1));
       [ids[i], ids[j]] = [ids[j], ids[i]];
     }
+    if (game !== null) ids.unshift(game);
     const chosen = ids.slice(0, count);
 
     const maxTries = 500;
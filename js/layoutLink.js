@@ -0,0 +1,120 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  LayoutLinks – drill layouts packed into a URL fragment, so a link is all
+//  it takes to share one (no server)
+//
+//  #b1-<rules>-<balls>[-<shot>]
+//   b1     format version; decoders for every version ever issued are kept
+//   rules  8 | 9 | t (10-ball) | s (14.1)
+//   balls  5 characters per ball on the table: id as one hex digit, then x
+//          and y as two base-36 digits each, in LINK_STEP mm units
+//   shot   highlighted shot: ball id (hex) + pocket id, e.g. '34'
+// ═══════════════════════════════════════════════════════════════════════════
+
+class LayoutLinks {
+  constructor() {
+    this.VERSION = 1;
+    this.STEP    = 2;   // mm per position unit: 2540 mm fits in two base-36 digits
+    this.RULE_CODES = {
+      [RULES.EIGHT_BALL]:    '8',
+      [RULES.NINE_BALL]:     '9',
+      [RULES.TEN_BALL]:      't',
+      [RULES.STRAIGHT_POOL]: 's',
+    };
+    this.decoders = { 1: (parts) => this._decodeV1(parts) };
+  }
+
+  // Fragment (without '#') for the balls on the table
+  //  shot: { ballId, pocketId } to highlight, or null
+  encode({ balls, rules, shot = null }) {
+    const unit = v => Math.max(0, Math.round(v / this.STEP)).toString(36).padStart(2, '0');
+    const packed = balls
+      .filter(b => !b.pocketed)
+      .map(b => b.id.toString(16) + unit(b.x) + unit(b.y))
+      .join('');
+    const parts = [`b${this.VERSION}`, this.RULE_CODES[rules], packed];
+    if (shot) parts.push(shot.ballId.toString(16) + shot.pocketId);
+    return parts.join('-');
+  }
+
+  // Whether a fragment looks like a layout link at all
+  isLink(fragment) {
+    return /^#?b\d+-/.test(fragment || '');
+  }
+
+  // Fragment → { rules, balls: Ball[], shot: { ballId, pocketId } | null }.
+  // Throws an Error saying what is wrong with a malformed link.
+  decode(fragment) {
+    const parts = fragment.replace(/^#/, '').split('-');
+    const version = parseInt(parts[0].slice(1), 10);
+    const decoder = this.decoders[version];
+    if (!decoder) {
+      throw new Error(version > this.VERSION
+        ? `made by a newer version of the app (v${version})`
+        : 'not a layout link');
+    }
+    return decoder(parts.slice(1));
+  }
+
+  _decodeV1([code, packed = '', shot]) {
+    const rules = Object.keys(this.RULE_CODES).find(r => this.RULE_CODES[r] === code);
+    if (!rules) throw new Error(`unknown rule set '${code}'`);
+    if (!packed || packed.length % 5) throw new Error('ball list is cut short');
+
+    const ids   = new Set([0, ...GameState.ballIds(rules)]);
+    const balls = [];
+    for (let i = 0; i < packed.length; i += 5) {
+      const id = parseInt(packed[i], 16);
+      const x  = parseInt(packed.slice(i + 1, i + 3), 36) * this.STEP;
+      const y  = parseInt(packed.slice(i + 3, i + 5), 36) * this.STEP;
+      if (!ids.has(id)) throw new Error(`ball '${packed[i]}' is not in ${rules}`);
+      if (balls.some(b => b.id === id)) throw new Error(`ball ${id} appears twice`);
+      if (!(x >= 0 && x <= C.TABLE_W && y >= 0 && y <= C.TABLE_H)) throw new Error(`ball ${id} is off the table`);
+      if (!physics.canRest({ x, y }, this.STEP)) throw new Error(`ball ${id} is inside a cushion`);
+      balls.push(new Ball(id, x, y));
+    }
+    if (!balls.some(b => b.id === 0)) throw new Error('no cue ball');
+    this._settle(balls);
+
+    let highlight = null;
+    if (shot) {
+      const ballId   = parseInt(shot[0], 16);
+      const pocketId = parseInt(shot.slice(1), 10);
+      if (!balls.some(b => b.id === ballId && ballId !== 0) || !C.POCKETS.some(p => p.id === pocketId)) {
+        throw new Error(`bad highlighted shot '${shot}'`);
+      }
+      highlight = { ballId, pocketId };
+    }
+    return { rules, balls, shot: highlight };
+  }
+
+  // Undoes the STEP rounding: balls that were touching (or on a cushion)
+  // can come back overlapping by up to STEP·√2, so push them apart again.
+  // A bigger overlap was never a real layout.
+  _settle(balls) {
+    const gap = C.BALL_R * 2;
+    for (let i = 0; i < balls.length; i++) {
+      for (let j = i + 1; j < balls.length; j++) {
+        if (gap - V.dist(balls[i], balls[j]) > this.STEP * Math.SQRT2) {
+          throw new Error(`balls ${balls[i].id} and ${balls[j].id} overlap`);
+        }
+      }
+    }
+    for (let pass = 0; pass < 4; pass++) {
+      for (let i = 0; i < balls.length; i++) {
+        for (let j = i + 1; j < balls.length; j++) {
+          const a = balls[i], b = balls[j];
+          const d = V.dist(a, b);
+          if (d >= gap) continue;
+          const n = V.scale(V.sub(b, a), (gap - d) / 2 / d);
+          a.x -= n.x; a.y -= n.y;
+          b.x += n.x; b.y += n.y;
+        }
+      }
+      balls.forEach(b => physics.pushOffCushions(b));
+    }
+  }
+}
+
+const layoutLinks = new LayoutLinks();
@@ -1,7 +1,7 @@
 'use strict';
 
 // ═══════════════════════════════════════════════════════════════════════════
-//  Physics Engine – fixed-timestep simulation
+//  Physics Engine – event-driven simulation (fixed-timestep fallback)
 //  Units: mm, mm/s, seconds
 // ═══════════════════════════════════════════════════════════════════════════
 
@@ -12,19 +12,31 @@ class Ball {
     this.y   = y;
     this.vx  = 0;
     this.vy  = 0;
-    // Spin around vertical axis (affects cushion rebound): positive = topspin
-    this.spinZ = 0;
+    // Angular velocity (rad/s) about the table x, y and vertical z axes.
+    // Natural roll along +x is wy = vx / R; along +y it is wx = -vy / R.
+    // wz > 0 is left english (the spin a hit left of centre gives).
+    this.wx  = 0;
+    this.wy  = 0;
+    this.wz  = 0;
     this.pocketed = false;
     this.inHand   = false;
   }
 
   get speed() { return Math.sqrt(this.vx * this.vx + this.vy * this.vy); }
   get info()  { return C.BALLS[this.id]; }
-  get isMoving() { return !this.pocketed && this.speed > C.STOP_SPEED; }
+
+  // Velocity of the cloth contact point: zero when the ball is rolling.
+  get slipX() { return this.vx - C.BALL_R * this.wy; }
+  get slipY() { return this.vy + C.BALL_R * this.wx; }
+  get slipSpeed() { return Math.sqrt(this.slipX * this.slipX + this.slipY * this.slipY); }
+
+  get isSliding() { return !this.pocketed && this.slipSpeed > C.STOP_SPEED; }
+  get isMoving()  { return !this.pocketed && (this.speed > C.STOP_SPEED || this.isSliding); }
 
   clone() {
     const b = new Ball(this.id, this.x, this.y);
-    b.vx = this.vx; b.vy = this.vy; b.spinZ = this.spinZ;
+    b.vx = this.vx; b.vy = this.vy;
+    b.wx = this.wx; b.wy = this.wy; b.wz = this.wz;
     b.pocketed = this.pocketed; b.inHand = this.inHand;
     return b;
   }
@@ -37,59 +49,269 @@ class Physics {
     this.R  = C.BALL_R;
     this.R2 = 2 * C.BALL_R;
     this.DT = C.SIM_DT;
+    this.buildTable();
   }
 
-  // Apply rolling friction to a single ball for one timestep
-  _applyFriction(ball) {
-    const s = ball.speed;
-    if (s < C.STOP_SPEED) { ball.vx = 0; ball.vy = 0; return; }
-    const decel = C.MU_ROLL * C.GRAVITY * this.DT;
-    const factor = Math.max(0, s - decel) / s;
-    ball.vx *= factor;
-    ball.vy *= factor;
+  // ── Table constants ─────────────────────────────────────────────────────
+  // Current values of the C.TABLE_PARAMS friction / restitution constants,
+  // and setting them (e.g. from a calibrated table profile). Everything
+  // reads them from C, so a change applies to the next simulation.
+  params() {
+    const out = {};
+    for (const k of C.TABLE_PARAMS) out[k] = C[k];
+    return out;
   }
 
-  // Resolve ball-cushion bounce
-  _cushionBounce(ball) {
-    const R = this.R;
-    const W = C.TABLE_W;
-    const H = C.TABLE_H;
+  setParams(params) {
+    for (const k of C.TABLE_PARAMS) {
+      if (typeof params[k] === 'number' && isFinite(params[k])) C[k] = params[k];
+    }
+  }
+
+  // ── Cushion + pocket geometry ───────────────────────────────────────────
+  // Builds the rail segments, jaw facings, cushion points and drop lines for
+  // the pocket cut named by C.POCKET_CUT. Call again after changing it.
+  //  rails:  straight cushion faces { ax, ay, tx, ty, nx, ny, len } with
+  //          (nx, ny) the outward normal (from the cloth into the rubber)
+  //  points: the rounded cushion tips either side of each mouth
+  //  drops:  per pocket, a point on the hole edge and the axis into the hole
+  buildTable(cutName = C.POCKET_CUT) {
+    const cut = C.POCKET_CUTS[cutName] || C.POCKET_CUTS.standard;
+    const W = C.TABLE_W, H = C.TABLE_H;
+    const dc = cut.corner.mouth / Math.SQRT2;   // corner point distance from the corner
+    const ms = cut.side.mouth / 2;
+
+    const rails = [], points = [], drops = [], jaws = [];
+    const addRail = (ax, ay, bx, by, nx, ny) => {
+      const len = Math.hypot(bx - ax, by - ay);
+      rails.push({ ax, ay, tx: (bx - ax) / len, ty: (by - ay) / len, nx, ny, len });
+    };
+
+    // Main rails, between the pocket points
+    addRail(dc, 0, W / 2 - ms, 0, 0, -1);
+    addRail(W / 2 + ms, 0, W - dc, 0, 0, -1);
+    addRail(dc, H, W / 2 - ms, H, 0, 1);
+    addRail(W / 2 + ms, H, W - dc, H, 0, 1);
+    addRail(0, dc, 0, H - dc, -1, 0);
+    addRail(W, dc, W, H - dc, 1, 0);
 
-    if (ball.x - R < 0) {
-      ball.x  = R;
-      ball.vx = -ball.vx * C.COR_CUSHION;
-      ball.spinZ *= -0.5;
+    for (const p of C.POCKETS) {
+      const sx = p.x === 0 ? 1 : -1;   // toward the table along x
+      const sy = p.y === 0 ? 1 : -1;   // toward the table along y
+      const spec = cut[p.type];
+      let sides, mouth, axis;
+      if (p.type === 'corner') {
+        // Each jaw: point P, rail direction r (away from the pocket), rail normal n
+        sides = [
+          { px: p.x + sx * dc, py: p.y, rx: sx, ry: 0,  nx: 0,   ny: -sy },
+          { px: p.x, py: p.y + sy * dc, rx: 0,  ry: sy, nx: -sx, ny: 0   },
+        ];
+        mouth = { x: p.x + sx * dc / 2, y: p.y + sy * dc / 2 };
+        axis  = { x: -sx / Math.SQRT2, y: -sy / Math.SQRT2 };
+      } else {
+        sides = [
+          { px: p.x - ms, py: p.y, rx: -1, ry: 0, nx: 0, ny: -sy },
+          { px: p.x + ms, py: p.y, rx:  1, ry: 0, nx: 0, ny: -sy },
+        ];
+        mouth = { x: p.x, y: p.y };
+        axis  = { x: 0, y: -sy };
+      }
+
+      const ang = V.toRad(spec.angle);
+      for (const j of sides) {
+        // Facing runs from the point into the pocket, turned `angle` from the rail
+        const fx = Math.cos(ang) * j.rx + Math.sin(ang) * j.nx;
+        const fy = Math.cos(ang) * j.ry + Math.sin(ang) * j.ny;
+        const len = (spec.shelf + 2 * this.R) / Math.max(0.2, fx * axis.x + fy * axis.y);
+        // Rubber lies on the rail side of the facing
+        let nx = -fy, ny = fx;
+        if (nx * j.rx + ny * j.ry < 0) { nx = -nx; ny = -ny; }
+        rails.push({ ax: j.px, ay: j.py, tx: fx, ty: fy, nx, ny, len });
+        points.push({ x: j.px, y: j.py });
+        jaws.push({ pocket: p.id, x1: j.px, y1: j.py, x2: j.px + fx * len, y2: j.py + fy * len });
+      }
+      drops.push({
+        pocket: p,
+        x: mouth.x + axis.x * spec.shelf,
+        y: mouth.y + axis.y * spec.shelf,
+        ax: axis.x, ay: axis.y,
+      });
     }
-    if (ball.x + R > W) {
-      ball.x  = W - R;
-      ball.vx = -ball.vx * C.COR_CUSHION;
-      ball.spinZ *= -0.5;
+
+    this.table = { cut: cutName, rails, points, drops, jaws };
+  }
+
+  // Apply cloth friction to a single ball for one timestep.
+  //  Sliding: kinetic friction opposes the contact-point slip, slowing (or
+  //  speeding) the ball and torquing the spin until the slip reaches zero.
+  //  Rolling: a small rolling resistance, with spin locked to the velocity.
+  //  Side spin (wz) decays independently through the contact patch.
+  _applyFriction(ball) {
+    const R  = this.R;
+    const g  = C.GRAVITY;
+    const dt = this.DT;
+
+    const ux = ball.slipX, uy = ball.slipY;
+    const u  = Math.sqrt(ux * ux + uy * uy);
+
+    if (u > C.STOP_SPEED) {
+      const du = 3.5 * C.MU_SLIDE * g * dt;    // slip decays at 7/2·μs·g
+      if (du >= u) {
+        // Slip ends inside this step – jump straight to natural roll.
+        // Angular momentum about the contact point is conserved: v' = v − 2u/7.
+        ball.vx -= ux * 2 / 7;
+        ball.vy -= uy * 2 / 7;
+        this._setNaturalRoll(ball);
+      } else {
+        const nx = ux / u, ny = uy / u;
+        const dv = C.MU_SLIDE * g * dt;
+        const dw = 2.5 * C.MU_SLIDE * g * dt / R;
+        ball.vx -= nx * dv;
+        ball.vy -= ny * dv;
+        ball.wx -= ny * dw;
+        ball.wy += nx * dw;
+      }
+    } else {
+      const s = ball.speed;
+      if (s < C.STOP_SPEED) {
+        ball.vx = 0; ball.vy = 0;
+      } else {
+        const decel  = C.MU_ROLL * g * dt;
+        const factor = Math.max(0, s - decel) / s;
+        ball.vx *= factor;
+        ball.vy *= factor;
+      }
+      this._setNaturalRoll(ball);
     }
-    if (ball.y - R < 0) {
-      ball.y  = R;
-      ball.vy = -ball.vy * C.COR_CUSHION;
-      ball.spinZ *= -0.5;
+
+    const dwz = 2.5 * C.MU_SPIN * g * dt / R;
+    ball.wz = Math.abs(ball.wz) <= dwz ? 0 : ball.wz - Math.sign(ball.wz) * dwz;
+  }
+
+  _setNaturalRoll(ball) {
+    ball.wx = -ball.vy / this.R;
+    ball.wy =  ball.vx / this.R;
+  }
+
+  // Resolve ball-cushion contact against the rails, jaw facings and the
+  // cushion points, so balls can rattle in (or out of) the pocket mouths.
+  // Returns true if the ball struck a cushion.
+  _cushionBounce(ball) {
+    const R = this.R;
+    // Every cushion lies on or outside the rail lines
+    if (ball.x > R && ball.x < C.TABLE_W - R && ball.y > R && ball.y < C.TABLE_H - R) return false;
+
+    let hit = false;
+    for (const s of this.table.rails) {
+      const rx = ball.x - s.ax, ry = ball.y - s.ay;
+      const along = rx * s.tx + ry * s.ty;
+      if (along < 0 || along > s.len) continue;
+      const gap = -(rx * s.nx + ry * s.ny);    // centre's distance in front of the face
+      if (gap >= R || gap < -R) continue;
+      ball.x -= (R - gap) * s.nx;
+      ball.y -= (R - gap) * s.ny;
+      hit = this._cushionCollide(ball, s.nx, s.ny) || hit;
     }
-    if (ball.y + R > H) {
-      ball.y  = H - R;
-      ball.vy = -ball.vy * C.COR_CUSHION;
-      ball.spinZ *= -0.5;
+
+    for (const p of this.table.points) {
+      const dx = p.x - ball.x, dy = p.y - ball.y;
+      const d2 = dx * dx + dy * dy;
+      if (d2 >= R * R || d2 < 1e-9) continue;
+      const d  = Math.sqrt(d2);
+      const nx = dx / d, ny = dy / d;
+      ball.x = p.x - nx * R;
+      ball.y = p.y - ny * R;
+      hit = this._cushionCollide(ball, nx, ny) || hit;
     }
+    return hit;
   }
 
-  // Resolve ball-ball collision between two balls (equal mass)
+  // Ball-rail impulse (Han 2005, as used by Mathavan et al.). (nx, ny) is the
+  // rail's outward normal. The nose touches the ball at angle θ above its
+  // equator, so the impulse has a downward component and acts on both the
+  // roll and the side spin: running english lengthens the rebound angle,
+  // reverse english shortens it, and topspin/draw change the rebound speed.
+  // Friction (MU_CUSHION) either slides across the nose or grips (sticks).
+  // Returns false if the ball was already moving away from the rail.
+  _cushionCollide(ball, nx, ny) {
+    const R = this.R;
+
+    // Rotate velocity and spin into the rail frame (normal = +x)
+    const vx = ball.vx * nx + ball.vy * ny,  vy = -ball.vx * ny + ball.vy * nx;
+    const wx = ball.wx * nx + ball.wy * ny,  wy = -ball.wx * ny + ball.wy * nx;
+    let   wz = ball.wz;
+    if (vx <= 0) return false;   // already moving away from the rail
+
+    const sinT = C.CUSHION_NOSE_H / R - 1;
+    const cosT = Math.sqrt(1 - sinT * sinT);
+    const e    = this._cushionCOR(vx);
+
+    // Slip of the contact point across the nose, and normal approach speed
+    const sx = vx * sinT + R * wy;
+    const sy = -vy - R * wz * cosT + R * wx * sinT;
+    const c  = vx * cosT;
+    const s  = Math.sqrt(sx * sx + sy * sy);
+
+    // Normal impulse (1+e)c; friction impulse up to the value that stops the
+    // slip (s / (7/2), unit mass) – beyond that the ball slides on the nose.
+    const Pn = (1 + e) * c;
+    const F  = s > 1e-9 ? Math.min(s / 3.5, C.MU_CUSHION * Pn) / s : 0;
+    const PX = -F * sx * sinT - Pn * cosT;
+    const PY =  F * sy;
+    const PZ =  F * sx * cosT - Pn * sinT;
+
+    const k = 2.5 / R;     // R / I for unit mass
+    const nvx = vx + PX;
+    const nvy = vy + PY;
+    const nwx = wx - k * PY * sinT;
+    const nwy = wy + k * (PX * sinT - PZ * cosT);
+    wz += k * PY * cosT;
+
+    // Back to the table frame
+    ball.vx = nvx * nx - nvy * ny;
+    ball.vy = nvx * ny + nvy * nx;
+    ball.wx = nwx * nx - nwy * ny;
+    ball.wy = nwx * ny + nwy * nx;
+    ball.wz = wz;
+    return true;
+  }
+
+  // Speed-dependent cushion restitution (Mathavan 2010 fit, v in m/s),
+  // capped at COR_CUSHION for hard hits
+  _cushionCOR(vn) {
+    const v = vn / 1000;
+    return Math.min(C.COR_CUSHION, Math.max(0.40, 0.39 + 0.257 * v - 0.044 * v * v));
+  }
+
+  // Resolve ball-ball collision between two balls (equal mass).
+  // Normal impulse from COR; tangential impulse from ball-ball friction acting
+  // on the contact-point slip, which throws the object ball off the line of
+  // centres (cut-induced and spin-induced throw) and trades spin between them.
+  // Returns true if the balls were closing (a real contact).
   _ballBallCollide(a, b) {
     const dx = b.x - a.x;
     const dy = b.y - a.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
-    if (dist < 1e-6) return;
+    if (dist < 1e-6) return false;
 
     const nx = dx / dist;
     const ny = dy / dist;
 
     // Relative velocity along normal
     const relVn = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
-    if (relVn <= 0) return; // Already separating
+    if (relVn <= 0) return false; // Already separating
+
+    // Contact-point slip (3D): relative velocity + R·(ωa + ωb) × n,
+    // with the normal component removed.
+    const R  = this.R;
+    const Wx = a.wx + b.wx, Wy = a.wy + b.wy, Wz = a.wz + b.wz;
+    let ux = a.vx - b.vx - R * Wz * ny;
+    let uy = a.vy - b.vy + R * Wz * nx;
+    const uz = R * (Wx * ny - Wy * nx);
+    const un = ux * nx + uy * ny;
+    ux -= un * nx;
+    uy -= un * ny;
+    const ut = Math.sqrt(ux * ux + uy * uy + uz * uz);
 
     // Impulse magnitude (equal mass, COR)
     const j = (1 + C.COR_BALL) * relVn / 2;
@@ -99,6 +321,24 @@ class Physics {
     b.vx += j * nx;
     b.vy += j * ny;
 
+    if (ut > 1e-6) {
+      // Friction impulse, capped where the surfaces stop slipping (1/7 of slip)
+      const mu = C.MU_BALL_A + C.MU_BALL_B * Math.exp(-C.MU_BALL_C * ut / 1000);
+      const jt = Math.min(mu * j, ut / 7) / ut;
+      const tx = ux * jt, ty = uy * jt, tz = uz * jt;
+
+      a.vx -= tx; a.vy -= ty;
+      b.vx += tx; b.vy += ty;
+
+      // Both balls receive the same spin change: 5/(2R) · n × (−Jt)
+      const k = 2.5 / R;
+      const dwx = k * (-ny * tz);
+      const dwy = k * ( nx * tz);
+      const dwz = k * (-nx * ty + ny * tx);
+      a.wx += dwx; a.wy += dwy; a.wz += dwz;
+      b.wx += dwx; b.wy += dwy; b.wz += dwz;
+    }
+
     // Separate overlapping balls
     const overlap = this.R2 - dist;
     if (overlap > 0) {
@@ -107,35 +347,75 @@ class Physics {
       b.x += nx * overlap * 0.5;
       b.y += ny * overlap * 0.5;
     }
+    return true;
   }
 
-  // Check if ball entered a pocket
+  // Check if ball dropped: its centre has passed the hole edge behind a mouth.
+  // Returns the pocket it fell into, or null.
   _checkPockets(ball) {
-    for (const p of C.POCKETS) {
-      const R = p.type === 'corner' ? C.POCKET_R_CORNER : C.POCKET_R_SIDE;
-      const dx = ball.x - p.x;
-      const dy = ball.y - p.y;
-      if (dx * dx + dy * dy < R * R) {
-        ball.pocketed = true;
-        ball.vx = 0; ball.vy = 0;
-        ball.x = p.x; ball.y = p.y;
-        return true;
-      }
+    for (const d of this.table.drops) {
+      if ((ball.x - d.x) * d.ax + (ball.y - d.y) * d.ay <= 0) continue;
+      const p = d.pocket;
+      ball.pocketed = true;
+      ball.vx = 0; ball.vy = 0;
+      ball.wx = 0; ball.wy = 0; ball.wz = 0;
+      ball.x = p.x; ball.y = p.y;
+      return p;
     }
-    return false;
+    return null;
+  }
+
+  // ── Cue-tip strike ──────────────────────────────────────────────────────
+  // Converts a stroke along unit (dx, dy) into cue-ball launch velocity and
+  // spin. tip.a = side offset (+ right of centre), tip.b = height (+ above
+  // centre), both as fractions of R measured across the cue line; tip.elev
+  // = cue elevation in degrees. `speed` is what a centre-ball hit gives.
+  // Returns { vx, vy, spin: {x, y, z} }.
+  cueStrike(dx, dy, speed, tip = {}) {
+    let a = tip.a || 0, b = tip.b || 0;
+    const off = Math.sqrt(a * a + b * b);
+    if (off > C.MISCUE_LIMIT) { a *= C.MISCUE_LIMIT / off; b *= C.MISCUE_LIMIT / off; }
+    const elev = V.toRad(tip.elev ?? C.CUE_ELEVATION);
+
+    // Off-centre hits put less of the stroke into linear speed
+    const k = 1 + C.CUE_MASS_RATIO;
+    const v = speed * k / (k + 2.5 * (a * a + b * b));
+
+    // Squirt: the ball leaves angled away from the side the tip struck
+    const squirt = Math.atan2(2.5 * a * Math.sqrt(1 - a * a),
+                              1 + C.SQUIRT_MASS_RATIO + 2.5 * (1 - a * a));
+    const cs = Math.cos(squirt), sn = Math.sin(squirt);
+    const ddx = dx * cs + dy * sn;
+    const ddy = dy * cs - dx * sn;
+
+    // ω = 5v/(2R) · (p × ĉ) with p the tip offset across the cue line.
+    // An elevated cue tilts side spin forward/back, which swerves the ball.
+    const K  = 2.5 * v / this.R;
+    const rx = -ddy, ry = ddx;                 // shooter's right
+    const se = Math.sin(elev), ce = Math.cos(elev);
+    return {
+      vx: ddx * v,
+      vy: ddy * v,
+      spin: {
+        x: K * (b * rx - a * se * ddx),
+        y: K * (b * ry - a * se * ddy),
+        z: -K * a * ce,
+      },
+    };
   }
 
   // ── Single simulation step ──────────────────────────────────────────────
-  step(balls) {
+  // log / t: optional event log (see simulate) and the step's time
+  step(balls, log = null, t = 0) {
     const active = balls.filter(b => !b.pocketed);
 
     // Move balls
     for (const b of active) {
-      if (b.speed < C.STOP_SPEED) { b.vx = 0; b.vy = 0; continue; }
+      if (!b.isMoving) { b.vx = 0; b.vy = 0; b.wx = b.wy = b.wz = 0; continue; }
       b.x += b.vx * this.DT;
       b.y += b.vy * this.DT;
       this._applyFriction(b);
-      this._cushionBounce(b);
+      if (this._cushionBounce(b) && log) log.push({ t, type: 'rail', ball: b.id });
     }
 
     // Detect ball-ball collisions (O(n²) – fine for 16 balls)
@@ -144,7 +424,7 @@ class Physics {
         const a = active[i], b = active[j];
         const dx = b.x - a.x, dy = b.y - a.y;
         if (dx * dx + dy * dy < this.R2 * this.R2) {
-          this._ballBallCollide(a, b);
+          if (this._ballBallCollide(a, b) && log) log.push({ t, type: 'ball', a: a.id, b: b.id });
         }
       }
     }
@@ -152,50 +432,378 @@ class Physics {
     // Check pockets
     const pocketed = [];
     for (const b of active) {
-      if (this._checkPockets(b)) pocketed.push(b.id);
+      const p = this._checkPockets(b);
+      if (!p) continue;
+      pocketed.push(b.id);
+      if (log) log.push({ t, type: 'pocket', ball: b.id, pocket: p.id });
     }
 
     return pocketed;
   }
 
   // ── Full shot simulation ─────────────────────────────────────────────────
-  // Returns { frames: Array<BallSnapshot[]>, pocketed: Set<id> }
+  // Returns { frames: Array<BallSnapshot[]>, pocketed: Set<id>, finalBalls,
+  //           events }
   // frames are sampled every RECORD_EVERY steps so the animator stays light.
+  // events is the ordered contact log, each entry stamped with its time t (s):
+  //   { type: 'ball',   a, b }          the two ball ids, in no set order
+  //   { type: 'rail',   ball }          any cushion, jaw or point contact
+  //   { type: 'pocket', ball, pocket }  pocket id
+  //  options.tip:    { a, b, elev } cue-tip contact – (vx, vy) is then the
+  //                  stroke, turned into launch velocity + spin by cueStrike().
+  //  options.spin:   { x, y, z } initial cue-ball angular velocity (rad/s).
+  //  Neither → the cue ball starts as a pure slide (no spin), like a stun shot.
+  //  options.solver: 'event' (default, exact collision times) or 'step'
+  //                  (fixed SIM_DT stepping).
   simulate(balls, cueBallId, vx, vy, options = {}) {
     const RECORD_EVERY = options.recordEvery || 4; // record every 4 steps ≈ 12ms
     const clones = balls.map(b => b.clone());
     const cue = clones.find(b => b.id === cueBallId);
-    if (!cue) return { frames: [], pocketed: new Set() };
+    if (!cue) return { frames: [], pocketed: new Set(), events: [] };
+
+    let spin = options.spin || {};
+    if (options.tip) {
+      const speed  = Math.sqrt(vx * vx + vy * vy);
+      const strike = this.cueStrike(vx / (speed || 1), vy / (speed || 1), speed, options.tip);
+      vx = strike.vx; vy = strike.vy; spin = strike.spin;
+    }
 
     cue.vx = vx;
     cue.vy = vy;
+    cue.wx = spin.x || 0;
+    cue.wy = spin.y || 0;
+    cue.wz = spin.z || 0;
 
     const frames    = [];
     const pocketedIds = new Set();
-    const maxSteps  = Math.ceil(C.SIM_MAX_TIME / this.DT);
-    let   step      = 0;
+    const events    = [];
 
-    while (step < maxSteps) {
-      if (step % RECORD_EVERY === 0) {
-        frames.push(clones.map(b => ({
-          id: b.id, x: b.x, y: b.y, pocketed: b.pocketed,
-        })));
-      }
+    if (options.solver === 'step') {
+      const maxSteps = Math.ceil(C.SIM_MAX_TIME / this.DT);
+      let   step     = 0;
 
-      const newPocketed = this.step(clones);
-      newPocketed.forEach(id => pocketedIds.add(id));
+      while (step < maxSteps) {
+        if (step % RECORD_EVERY === 0) frames.push(this._snapshot(clones));
 
-      // Stop when nothing is moving
-      if (!clones.some(b => b.isMoving)) break;
-      step++;
+        const newPocketed = this.step(clones, events, step * this.DT);
+        newPocketed.forEach(id => pocketedIds.add(id));
+
+        // Stop when nothing is moving
+        if (!clones.some(b => b.isMoving)) break;
+        step++;
+      }
+    } else {
+      this._runEvents(clones, RECORD_EVERY * this.DT, frames, pocketedIds, events);
     }
 
     // Final snapshot
-    frames.push(clones.map(b => ({
-      id: b.id, x: b.x, y: b.y, pocketed: b.pocketed,
-    })));
+    frames.push(this._snapshot(clones));
+
+    return { frames, pocketed: pocketedIds, finalBalls: clones, events };
+  }
+
+  _snapshot(balls) {
+    return balls.map(b => ({ id: b.id, x: b.x, y: b.y, pocketed: b.pocketed }));
+  }
+
+  // ═════════════════════════════════════════════════════════════════════════
+  //  Event-driven solver
+  //  Between events every ball follows a closed-form path (constant
+  //  acceleration while sliding or rolling), so the solver jumps straight to
+  //  the next ball-ball, ball-cushion, ball-point or pocket-drop contact, or
+  //  slide→roll / roll→rest transition. Balls at rest cost nothing.
+  // ═════════════════════════════════════════════════════════════════════════
+
+  _runEvents(balls, recordDt, frames, pocketedIds, log) {
+    const MAX_EVENTS = 20000;
+    const n       = balls.length;
+    const motions = balls.map(b => this._motion(b));
+    // Pending events in absolute time. Paths only change for the balls an
+    // event touches, so everything else stays valid between events.
+    const own  = balls.map((b, i) => this._ballEvent(b, motions[i], 0, C.SIM_MAX_TIME));
+    const pair = balls.map(() => new Array(n).fill(null));
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        pair[i][j] = this._pairEvent(balls[i], balls[j], motions[i], motions[j], 0, C.SIM_MAX_TIME);
+      }
+    }
+
+    const advance = dt => {
+      if (dt <= 0) return;
+      balls.forEach((b, i) => { if (!b.pocketed) this._advance(b, motions[i], dt); });
+    };
+
+    let t = 0;
+    let nextFrame = 0;
+
+    for (let count = 0; count < MAX_EVENTS; count++) {
+      let ev = null;
+      for (let i = 0; i < n; i++) {
+        if (own[i] && (!ev || own[i].t < ev.t)) ev = own[i];
+        for (let j = i + 1; j < n; j++) {
+          if (pair[i][j] && (!ev || pair[i][j].t < ev.t)) ev = pair[i][j];
+        }
+      }
+
+      // Sample animation frames along the closed-form paths up to the event
+      while (ev && nextFrame <= ev.t) {
+        advance(nextFrame - t);
+        t = nextFrame;
+        frames.push(this._snapshot(balls));
+        nextFrame += recordDt;
+      }
+      if (!ev) break;   // everything at rest, or out of time
+
+      advance(ev.t - t);
+      t = ev.t;
+      this._resolveEvent(ev, pocketedIds, log);
+
+      // Re-plan the balls whose paths changed
+      const changed = ev.type === 'ball' ? [ev.a, ev.b] : [ev.ball];
+      for (const b of changed) {
+        const i = balls.indexOf(b);
+        motions[i] = this._motion(b);
+        own[i] = b.pocketed ? null : this._ballEvent(b, motions[i], t, C.SIM_MAX_TIME - t);
+        for (let j = 0; j < n; j++) {
+          if (j === i) continue;
+          const lo = Math.min(i, j), hi = Math.max(i, j);
+          pair[lo][hi] = b.pocketed || balls[j].pocketed ? null
+            : this._pairEvent(balls[lo], balls[hi], motions[lo], motions[hi], t, C.SIM_MAX_TIME - t);
+        }
+      }
+    }
+  }
+
+  // Current motion phase of a ball: its (constant) acceleration and how
+  // long that phase lasts before the ball starts rolling or comes to rest.
+  _motion(ball) {
+    const EPS = 1e-3;   // mm/s
+    const ux = ball.slipX, uy = ball.slipY;
+    const u  = Math.sqrt(ux * ux + uy * uy);
+    if (u > EPS) {
+      const a = C.MU_SLIDE * C.GRAVITY;
+      return { kind: 'slide', ux: ux / u, uy: uy / u, ax: -a * ux / u, ay: -a * uy / u, tEnd: u / (3.5 * a) };
+    }
+    const s = ball.speed;
+    if (s > EPS) {
+      const a = C.MU_ROLL * C.GRAVITY;
+      return { kind: 'roll', ax: -a * ball.vx / s, ay: -a * ball.vy / s, tEnd: s / a };
+    }
+    return { kind: 'rest', ax: 0, ay: 0, tEnd: Infinity };
+  }
+
+  // Furthest a ball can travel within h seconds of its current phase
+  _reach(ball, m, h) {
+    if (m.kind === 'rest') return 0;
+    h = Math.min(h, m.tEnd);
+    return ball.speed * h + 0.5 * Math.hypot(m.ax, m.ay) * h * h;
+  }
+
+  // Closed-form advance within one motion phase
+  _advance(ball, m, dt) {
+    if (m.kind !== 'rest') {
+      ball.x  += ball.vx * dt + 0.5 * m.ax * dt * dt;
+      ball.y  += ball.vy * dt + 0.5 * m.ay * dt * dt;
+      ball.vx += m.ax * dt;
+      ball.vy += m.ay * dt;
+      if (m.kind === 'slide') {
+        const dw = 2.5 * C.MU_SLIDE * C.GRAVITY * dt / this.R;
+        ball.wx -= m.uy * dw;
+        ball.wy += m.ux * dw;
+      } else {
+        this._setNaturalRoll(ball);
+      }
+    }
+    const dwz = 2.5 * C.MU_SPIN * C.GRAVITY * dt / this.R;
+    ball.wz = Math.abs(ball.wz) <= dwz ? 0 : ball.wz - Math.sign(ball.wz) * dwz;
+  }
+
+  // Earliest single-ball event (phase change, cushion, point or drop) within
+  // `horizon` seconds of time t, as { t, type, ball, ... }, or null
+  _ballEvent(a, m, t, horizon) {
+    if (m.kind === 'rest') return null;
+    const R = this.R;
+    const h = Math.min(m.tEnd, horizon);
+    let best = m.tEnd <= horizon ? { dt: m.tEnd, type: 'phase', ball: a, motion: m } : null;
+    const consider = (dt, ev) => {
+      if (dt <= h && (!best || dt < best.dt)) { ev.dt = dt; ev.ball = a; best = ev; }
+    };
+
+    // Cushions only matter once the ball can get within R of a rail line
+    const reach = this._reach(a, m, h);
+    const edge  = Math.min(a.x - R, C.TABLE_W - R - a.x, a.y - R, C.TABLE_H - R - a.y);
+    if (edge <= reach) {
+      for (const s of this.table.rails) {
+        // gap(t) − R, with gap the centre's distance in front of the face
+        const k0 = -((a.x - s.ax) * s.nx + (a.y - s.ay) * s.ny) - R;
+        const k1 = -(a.vx * s.nx + a.vy * s.ny);
+        const k2 = -0.5 * (m.ax * s.nx + m.ay * s.ny);
+        const dt = this._firstCrossing([k0, k1, k2], h);
+        if (dt === Infinity) continue;
+        const x = a.x + a.vx * dt + 0.5 * m.ax * dt * dt;
+        const y = a.y + a.vy * dt + 0.5 * m.ay * dt * dt;
+        const along = (x - s.ax) * s.tx + (y - s.ay) * s.ty;
+        if (along < 0 || along > s.len) continue;
+        consider(dt, { type: 'rail', rail: s });
+      }
+
+      for (const p of this.table.points) {
+        if (Math.hypot(a.x - p.x, a.y - p.y) - R > reach) continue;
+        const dt = this._contactTime(a.x - p.x, a.y - p.y, a.vx, a.vy, m.ax, m.ay, R, h);
+        consider(dt, { type: 'point', point: p });
+      }
+
+      for (const d of this.table.drops) {
+        const k0 = -((a.x - d.x) * d.ax + (a.y - d.y) * d.ay);
+        const k1 = -(a.vx * d.ax + a.vy * d.ay);
+        const k2 = -0.5 * (m.ax * d.ax + m.ay * d.ay);
+        consider(this._firstCrossing([k0, k1, k2], h), { type: 'drop', drop: d });
+      }
+    }
+
+    if (best) best.t = t + best.dt;
+    return best;
+  }
+
+  // Ball-ball contact within `horizon` seconds of time t, or null
+  _pairEvent(a, b, ma, mb, t, horizon) {
+    if (ma.kind === 'rest' && mb.kind === 'rest') return null;
+    const h  = Math.min(ma.tEnd, mb.tEnd, horizon);
+    const px = b.x - a.x, py = b.y - a.y;
+    if (Math.sqrt(px * px + py * py) - this.R2 > this._reach(a, ma, h) + this._reach(b, mb, h)) return null;
+    const dt = this._contactTime(px, py, b.vx - a.vx, b.vy - a.vy,
+                                 mb.ax - ma.ax, mb.ay - ma.ay, this.R2, h);
+    return dt === Infinity ? null : { t: t + dt, type: 'ball', a, b };
+  }
+
+  // Time until two centres (relative position p, velocity v, acceleration a)
+  // come within `dist` of each other: |p + v·t + ½a·t²|² − dist² = 0.
+  _contactTime(px, py, vx, vy, ax, ay, dist, tMax) {
+    const hx = 0.5 * ax, hy = 0.5 * ay;
+    return this._firstCrossing([
+      px * px + py * py - dist * dist,
+      2 * (vx * px + vy * py),
+      vx * vx + vy * vy + 2 * (hx * px + hy * py),
+      2 * (hx * vx + hy * vy),
+      hx * hx + hy * hy,
+    ], tMax);
+  }
+
+  _resolveEvent(ev, pocketedIds, log) {
+    if (ev.type === 'phase') {
+      const b = ev.ball;
+      if (ev.motion.kind === 'slide') {
+        this._setNaturalRoll(b);
+      } else {
+        b.vx = 0; b.vy = 0; b.wx = 0; b.wy = 0;
+      }
+    } else if (ev.type === 'ball') {
+      if (this._ballBallCollide(ev.a, ev.b)) log.push({ t: ev.t, type: 'ball', a: ev.a.id, b: ev.b.id });
+    } else if (ev.type === 'rail') {
+      if (this._cushionCollide(ev.ball, ev.rail.nx, ev.rail.ny)) log.push({ t: ev.t, type: 'rail', ball: ev.ball.id });
+    } else if (ev.type === 'point') {
+      const b = ev.ball;
+      const d = Math.hypot(ev.point.x - b.x, ev.point.y - b.y) || 1;
+      if (this._cushionCollide(b, (ev.point.x - b.x) / d, (ev.point.y - b.y) / d)) log.push({ t: ev.t, type: 'rail', ball: b.id });
+    } else if (ev.type === 'drop') {
+      const b = ev.ball, p = ev.drop.pocket;
+      b.pocketed = true;
+      b.vx = 0; b.vy = 0;
+      b.wx = 0; b.wy = 0; b.wz = 0;
+      b.x = p.x; b.y = p.y;
+      pocketedIds.add(b.id);
+      log.push({ t: ev.t, type: 'pocket', ball: b.id, pocket: p.id });
+    }
+  }
+
+  // ── Polynomial root helpers ─────────────────────────────────────────────
+  // First t in [0, tMax] where the polynomial k[0] + k[1]·t + … + k[4]·t⁴
+  // falls from > 0 to ≤ 0 (i.e. a contact starts), or Infinity. Contact at
+  // t = 0 counts only when already touching and closing. The polynomial is
+  // monotonic between the roots of its derivative, so each such piece holds
+  // at most one crossing, found by bisection.
+  _firstCrossing(k, tMax) {
+    const k0 = k[0], k1 = k[1] || 0, k2 = k[2] || 0, k3 = k[3] || 0, k4 = k[4] || 0;
+    const f = t => (((k4 * t + k3) * t + k2) * t + k1) * t + k0;
+    if (k0 <= 0) {
+      if (k1 < 0) return 0;
+    }
+    if (!(tMax > 0)) return Infinity;
+
+    const crit = this._cubicRoots(4 * k4, 3 * k3, 2 * k2, k1)
+      .filter(t => t > 0 && t < tMax)
+      .sort((a, b) => a - b);
+    crit.push(tMax);
+
+    let lo = 0, flo = k0;
+    for (const hi of crit) {
+      const fhi = f(hi);
+      if (flo > 0 && fhi <= 0) {
+        let a = lo, b = hi;
+        for (let i = 0; i < 60 && b - a > 1e-12; i++) {
+          const mid = 0.5 * (a + b);
+          if (f(mid) > 0) a = mid; else b = mid;
+        }
+        return b;
+      }
+      lo = hi; flo = fhi;
+    }
+    return Infinity;
+  }
+
+  // Real roots of a·t³ + b·t² + c·t + d (lower degrees when leading terms vanish)
+  _cubicRoots(a, b, c, d) {
+    const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c), Math.abs(d));
+    if (scale === 0) return [];
+    if (Math.abs(a) < 1e-12 * scale) {
+      if (Math.abs(b) < 1e-12 * scale) {
+        return Math.abs(c) < 1e-12 * scale ? [] : [-d / c];
+      }
+      const disc = c * c - 4 * b * d;
+      if (disc < 0) return [];
+      const sq = Math.sqrt(disc);
+      return [(-c - sq) / (2 * b), (-c + sq) / (2 * b)];
+    }
+
+    const B = b / a, Cc = c / a, D = d / a;
+    const Q = (3 * Cc - B * B) / 9;
+    const Rr = (9 * B * Cc - 27 * D - 2 * B * B * B) / 54;
+    const disc = Q * Q * Q + Rr * Rr;
+    if (disc > 0) {
+      const sq = Math.sqrt(disc);
+      return [Math.cbrt(Rr + sq) + Math.cbrt(Rr - sq) - B / 3];
+    }
+    if (Q === 0) return [-B / 3];
+    const th = Math.acos(Math.max(-1, Math.min(1, Rr / Math.sqrt(-Q * Q * Q))));
+    const m  = 2 * Math.sqrt(-Q);
+    return [0, 1, 2].map(k => m * Math.cos((th + 2 * Math.PI * k) / 3) - B / 3);
+  }
+
+  // ── Utility: can a ball sit at pt? ──────────────────────────────────────
+  // Inside the rail lines, or in a pocket mouth with no cushion, jaw or
+  // point cutting into it and short of the drop (as _cushionBounce and
+  // _checkPockets would leave it).
+  //   tol: mm a cushion may overlap the ball by
+  canRest(pt, tol = 0.5) {
+    const R = this.R;
+    if (pt.x >= R && pt.x <= C.TABLE_W - R && pt.y >= R && pt.y <= C.TABLE_H - R) return true;
+    if (pt.x < -R || pt.x > C.TABLE_W + R || pt.y < -R || pt.y > C.TABLE_H + R) return false;
+
+    for (const s of this.table.rails) {
+      const rx = pt.x - s.ax, ry = pt.y - s.ay;
+      const along = rx * s.tx + ry * s.ty;
+      if (along < 0 || along > s.len) continue;
+      const gap = -(rx * s.nx + ry * s.ny);
+      if (gap < R - tol && gap >= -R) return false;
+    }
+    if (this.table.points.some(p => V.dist(p, pt) < R - tol)) return false;
+    return this.table.drops.every(d => (pt.x - d.x) * d.ax + (pt.y - d.y) * d.ay <= 0);
+  }
 
-    return { frames, pocketed: pocketedIds, finalBalls: clones };
+  // Moves a ball at rest out of any cushion, jaw or point it overlaps, as
+  // the first contact of a shot would
+  pushOffCushions(ball) {
+    this._cushionBounce(ball);
   }
 
   // ── Utility: is the path from A to B clear of other balls? ──────────────
@@ -0,0 +1,139 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PlayerProfiles – learns each player's error model from TrainingDB history
+//
+//  Only real shots count: tracked AR attempts at a direct pot (simulated
+//  demo shots have no player error; banks, combos and hand-aimed shots
+//  don't have direct-cut geometry).
+//
+//  Aim: for every recorded pot attempt the geometry (cut, cue → ghost
+//  distance, pocket window) gives the make chance as a function of the aim
+//  error σ (ShotEngine.chainMakeChance). σ is fitted per cut × distance bin
+//  from made / missed outcomes as a grid posterior, each bin shrunk toward
+//  the player's overall σ, which is in turn shrunk toward everyone's.
+//  Speed: spread of the played power around the suggested power.
+//
+//  Profile (the shape ShotEngine.errorProfile() returns, plus bins):
+//  {
+//    player, shots,
+//    aimDeg:  overall aim 1σ, degrees
+//    aimBins: { cuts: [deg], dists: [mm], sigma: [cut bin][dist bin] }
+//    speed:   1σ speed error, fraction of the intended speed
+//    tip:     1σ tip offset error, fraction of R (not fitted)
+//  }
+// ═══════════════════════════════════════════════════════════════════════════
+
+class PlayerProfiles {
+  constructor() {
+    this.profiles   = {};               // player (1 | 2) → fitted profile
+    this.CUT_EDGES  = [15, 30, 45];     // cut-angle bin edges, degrees
+    this.DIST_EDGES = [900, 1800];      // cue → ghost distance bin edges, mm
+    this.PRIOR_LOG_SD = 0.5;            // spread of the σ prior, in log units
+    this.SPEED_PRIOR_SHOTS = 5;         // pseudo-shots behind the speed prior
+
+    // σ grid for the aim posterior, 0.2°–4° log-spaced
+    this.GRID = Array.from({ length: 24 }, (_, i) => 0.2 * Math.pow(20, i / 23));
+  }
+
+  // Refits every player from the stored shots, in the sim worker (the fit
+  // grows with the history). Keeps the old profiles if a newer refresh
+  // supersedes this one.
+  async refresh(db = trainingDB) {
+    const profiles = await simService.fitProfiles(await db.getAll());
+    if (profiles) this.profiles = profiles;
+    return this.profiles;
+  }
+
+  // Fitted profile for a player, or null while they have no history
+  get(player) {
+    return this.profiles[player] || null;
+  }
+
+  fit(records) {
+    const shots  = records.map(r => this._observe(r)).filter(Boolean);
+    const pooled = this._fitGroup(shots, shotEngine.errorProfile());
+    const out = {};
+    for (const player of [1, 2]) {
+      const own = shots.filter(s => s.player === player);
+      if (own.length) out[player] = { player, ...this._fitGroup(own, pooled) };
+    }
+    return out;
+  }
+
+  // ── Fitting ──────────────────────────────────────────────────────────────
+  // A completed, tracked direct pot attempt with its geometry, or null if
+  // unusable
+  _observe(r) {
+    if (!r.outcome || !r.cueTrack || !r.shot || r.shot.type !== 'direct') return null;
+    if (r.shot.ballId < 1 || r.shot.pocket < 0) return null;
+    const balls  = r.preShotBalls || [];
+    const cue    = balls.find(b => b.id === 0);
+    const ob     = balls.find(b => b.id === r.shot.ballId);
+    const pocket = C.POCKETS.find(p => p.id === r.shot.pocket);
+    if (!cue || !ob || !pocket) return null;
+    const ghost = shotEngine.ghostBall(ob, pocket);
+    return {
+      player:    r.player ?? null,
+      cue, ob, ghost, pocket,
+      cut:       shotEngine.cutAngle(cue, ghost, ob),
+      dist:      V.dist(cue, ghost),
+      made:      !!r.outcome.success,
+      power:     r.shot.power,
+      suggested: r.shot.suggestedPower,
+    };
+  }
+
+  _fitGroup(shots, prior) {
+    const aimDeg = this._fitAim(shots, prior.aimDeg);
+    const sigma = [];
+    for (let i = 0; i <= this.CUT_EDGES.length; i++) {
+      sigma.push([]);
+      for (let j = 0; j <= this.DIST_EDGES.length; j++) {
+        const inBin = shots.filter(s => this._bin(s.cut, this.CUT_EDGES) === i && this._bin(s.dist, this.DIST_EDGES) === j);
+        sigma[i].push(inBin.length ? this._fitAim(inBin, aimDeg) : aimDeg);
+      }
+    }
+    return {
+      shots:   shots.length,
+      aimDeg,
+      aimBins: { cuts: this.CUT_EDGES, dists: this.DIST_EDGES, sigma },
+      speed:   this._fitSpeed(shots, prior.speed),
+      tip:     prior.tip,
+    };
+  }
+
+  // Posterior mean of the aim σ over the grid, log-normal prior at priorDeg
+  _fitAim(shots, priorDeg) {
+    const logs = this.GRID.map(sd => {
+      let ll = -0.5 * (Math.log(sd / priorDeg) / this.PRIOR_LOG_SD) ** 2;
+      for (const s of shots) {
+        const p = shotEngine.chainMakeChance(s.cue, s.ghost, [{ ball: s.ob, mode: 'cut' }], s.pocket, 2000, sd);
+        // Misses happen for other reasons too; never let one shot dominate
+        const q = Math.min(0.98, Math.max(0.02, p));
+        ll += Math.log(s.made ? q : 1 - q);
+      }
+      return ll;
+    });
+    const top = Math.max(...logs);
+    const w   = logs.map(l => Math.exp(l - top));
+    const sum = w.reduce((a, b) => a + b, 0);
+    return w.reduce((a, wi, i) => a + wi * this.GRID[i], 0) / sum;
+  }
+
+  // 1σ of log(played / suggested power), prior priorSd worth a few shots
+  _fitSpeed(shots, priorSd) {
+    const xs = shots.filter(s => s.power > 0 && s.suggested > 0).map(s => Math.log(s.power / s.suggested));
+    if (!xs.length) return priorSd;
+    const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const ss   = xs.reduce((a, x) => a + (x - mean) ** 2, 0);
+    const k    = this.SPEED_PRIOR_SHOTS;
+    return Math.sqrt((k * priorSd * priorSd + ss) / (k + xs.length));
+  }
+
+  _bin(v, edges) {
+    return edges.filter(e => v > e).length;
+  }
+}
+
+const playerProfiles = new PlayerProfiles();
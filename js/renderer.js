@@ -64,10 +64,14 @@ class ARRenderer {
     this._drawVirtualTable();
     this._drawVirtualPockets();
 
+    if (state.runOut) {
+      this._drawRunOut(state.runOut, state.balls, p => this._tf.tp(p), this._tf.td(C.BALL_R));
+    }
     if (state.bestShot && state.showAI && !this.animating) {
       this._drawShotOverlayVirtual(state.bestShot, state.balls);
     }
     if (state.manualAim) this._drawManualAimVirtual(state.manualAim, state.balls);
+    if (state.ballInHand) this._drawBallInHand(state.ballInHand, state.balls);
     this._drawVirtualBalls(state.balls, state.selectedBall);
     this._drawCalibrationCorners(state);
   }
@@ -87,7 +91,8 @@ class ARRenderer {
       // Draw table outline
       this._drawARTableOutline(arSession);
 
-      // Shot recommendations
+      // Run-out route, then the shot recommendation on top
+      if (state.runOut) this._drawRunOut(state.runOut, state.balls, p => proj(p.x, p.y), 12);
       if (state.bestShot && state.showAI && !this.animating) {
         this._drawShotOverlayAR(state.bestShot, state.balls, proj);
       }
@@ -188,7 +193,7 @@ class ARRenderer {
     const ctx = this.ctx;
     C.POCKETS.forEach((p) => {
       const sp    = proj(p.x, p.y);
-      const isTarget = bestShot && bestShot.pocket.id === p.id;
+      const isTarget = bestShot && bestShot.pocket?.id === p.id;
       const r = isTarget ? 14 : 8;
 
       ctx.beginPath();
@@ -225,16 +230,26 @@ class ARRenderer {
     // Object ball → pocket trajectory
     const obPts = shot.obPath.map(p => proj(p.x, p.y));
     this._drawGlowLine(obPts, '#FFD600', 2.5, 0.7);
+    if (shot.railPts) this._drawRailMarks(shot.railPts.map(p => proj(p.x, p.y)), 5);
+    if (shot.chainPath) {
+      // Second leg of a combo / carom, and where the first ball meets the second
+      this._drawGlowLine(shot.chainPath.map(p => proj(p.x, p.y)), '#FF9100', 2.5, 0.7);
+      const cg = proj(shot.chainGhost.x, shot.chainGhost.y);
+      this._drawGhostBall(cg.x, cg.y, 12);
+    }
 
-    // Cue ball → ghost ball approach line
+    // Cue ball → ghost ball approach line (aimed at the throw-compensated
+    // contact when the shot has one)
+    const aim = shot.aim || shot.ghost;
     const cue = balls.find(b => b.id === 0);
     if (cue) {
       const cueSP   = proj(cue.x, cue.y);
-      const ghostSP = proj(shot.ghost.x, shot.ghost.y);
+      const ghostSP = proj(aim.x, aim.y);
       this._drawGlowLine([cueSP, ghostSP], '#00e676', 2, 0.7);
 
-      // Ghost ball
-      this._drawGhostBall(ghostSP.x, ghostSP.y, 14);
+      // Ghost ball (for kicks, at the contact rather than the rail aim point)
+      const contactSP = shot.type === 'kick' ? proj(shot.ghost.x, shot.ghost.y) : ghostSP;
+      this._drawGhostBall(contactSP.x, contactSP.y, 14);
 
       // Cue ball post-contact path
       if (shot.cbPath && shot.cbPath.length > 1) {
@@ -243,7 +258,7 @@ class ARRenderer {
       }
 
       // Back extension of aim line (aiming guide)
-      const dir = V.norm(V.sub(shot.ghost, cue));
+      const dir = V.norm(V.sub(aim, cue));
       const ext = {
         x: cue.x - dir.x * C.TABLE_W * 0.4,
         y: cue.y - dir.y * C.TABLE_W * 0.4,
@@ -260,7 +275,7 @@ class ARRenderer {
     }
 
     // Power label next to ghost ball
-    const sp = proj(shot.ghost.x, shot.ghost.y);
+    const sp = proj(aim.x, aim.y);
     if (shot.suggestedPower) {
       ctx.save();
       ctx.font = 'bold 12px -apple-system, sans-serif';
@@ -388,6 +403,42 @@ class ARRenderer {
     this._drawCalibrationGuide(arSession);
   }
 
+  // ── Run-out route ─────────────────────────────────────────────────────────
+  // Cue-ball legs of the plan (dashed), the step number on each object ball
+  // and a ring at each position target. toScreen maps a table point; r is
+  // the on-screen ball radius.
+  _drawRunOut(plan, balls, toScreen, r) {
+    const ctx = this.ctx;
+    plan.steps.forEach((st, i) => {
+      const ball = balls.find(b => b.id === st.ballId);
+      if (!ball) return;
+      const at = toScreen(ball);
+      this._drawGlowLine([toScreen(st.from), at], '#E040FB', 1.5, 0.55, [3, 6]);
+
+      if (i < plan.steps.length - 1) {
+        const c = toScreen(st.cue);
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, r, 0, Math.PI * 2);
+        ctx.strokeStyle = 'rgba(224,64,251,0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      }
+
+      const bx = at.x + r * 1.2, by = at.y - r * 1.2;
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(bx, by, Math.max(7, r * 0.55), 0, Math.PI * 2);
+      ctx.fillStyle = '#E040FB';
+      ctx.fill();
+      ctx.font = `bold ${Math.max(9, Math.round(r * 0.6))}px sans-serif`;
+      ctx.fillStyle = '#fff';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(i + 1), bx, by);
+      ctx.restore();
+    });
+  }
+
   // ── Ghost ball ────────────────────────────────────────────────────────────
   _drawGhostBall(cx, cy, r) {
     const ctx = this.ctx;
@@ -403,6 +454,22 @@ class ARRenderer {
     ctx.restore();
   }
 
+  // Cushion contact points of a bank shot (screen coords)
+  _drawRailMarks(pts, r) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle   = 'rgba(255,214,0,0.35)';
+    ctx.strokeStyle = '#FFD600';
+    ctx.lineWidth   = 1.5;
+    for (const p of pts) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
   // ── Glow line ─────────────────────────────────────────────────────────────
   _drawGlowLine(pts, color, width, alpha = 1, dash = []) {
     if (!pts || pts.length < 2) return;
@@ -487,6 +554,42 @@ class ARRenderer {
     ctx.strokeRect(x, y, w, h);
   }
 
+  // Ball in hand: the region the cue ball may be placed in (the kitchen when
+  // restricted to behind the head string), a ring around the cue ball and
+  // the AI's suggested spot with the shot it sets up
+  _drawBallInHand(inHand, balls) {
+    const cue = balls.find(b => b.id === 0);
+    if (!cue || cue.pocketed) return;
+    const ctx = this.ctx, tf = this._tf;
+    const w = inHand.behindHeadString ? C.HEAD_SPOT.x : C.TABLE_W;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.fillRect(tf.tx(0), tf.ty(0), tf.td(w), tf.td(C.TABLE_H));
+
+    ctx.strokeStyle = inHand.placing ? '#FFD600' : 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.arc(tf.tx(cue.x), tf.ty(cue.y), tf.td(C.BALL_R * 1.6), 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const sug = inHand.suggestion;
+    if (sug && V.dist(sug.cue, cue) > C.BALL_R) {
+      const at = tf.tp(sug.cue), shot = sug.shot;
+      this._drawGlowLine([at, tf.tp(shot.aim || shot.ghost)], '#00e676', 1.5, 0.6, [6, 5]);
+      if (shot.obPath) this._drawGlowLine(shot.obPath.map(p => tf.tp(p)), '#FFD600', 1.5, 0.6, [6, 5]);
+      ctx.beginPath();
+      ctx.arc(at.x, at.y, tf.td(C.BALL_R), 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+      ctx.fill();
+      ctx.strokeStyle = '#00e676'; ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
   _drawSpot(pos, color) {
     const ctx = this.ctx, tf = this._tf;
     ctx.beginPath();
@@ -507,6 +610,15 @@ class ARRenderer {
       ctx.strokeStyle = i === highlight ? '#00e676' : '#3a2200';
       ctx.lineWidth = 2; ctx.stroke();
     });
+
+    // Jaw facings from the physics table (pocket cut)
+    ctx.strokeStyle = '#2d7a3a'; ctx.lineWidth = tf.td(C.BALL_R * 0.3);
+    ctx.beginPath();
+    for (const j of physics.table.jaws) {
+      ctx.moveTo(tf.tx(j.x1), tf.ty(j.y1));
+      ctx.lineTo(tf.tx(j.x2), tf.ty(j.y2));
+    }
+    ctx.stroke();
   }
 
   _drawVirtualBalls(balls, selectedId = -1) {
@@ -579,11 +691,19 @@ class ARRenderer {
   _drawShotOverlayVirtual(shot, balls) {
     if (!shot) return;
     const tf = this._tf;
-    const pIdx = C.POCKETS.findIndex(p => p.id === shot.pocket.id);
+    const pIdx = shot.pocket ? C.POCKETS.findIndex(p => p.id === shot.pocket.id) : -1;
     this._drawVirtualPockets(pIdx);
     this._drawGlowLine(shot.obPath.map(p => tf.tp(p)), '#FFD600', 2);
-    const ghost = tf.tp(shot.ghost);
-    this._drawGhostBall(ghost.x, ghost.y, tf.td(C.BALL_R));
+    if (shot.railPts) this._drawRailMarks(shot.railPts.map(p => tf.tp(p)), tf.td(C.BALL_R) * 0.4);
+    if (shot.chainPath) {
+      this._drawGlowLine(shot.chainPath.map(p => tf.tp(p)), '#FF9100', 2);
+      const cg = tf.tp(shot.chainGhost);
+      this._drawGhostBall(cg.x, cg.y, tf.td(C.BALL_R));
+    }
+    // Kicks aim at the first rail; the ghost ball marks the contact
+    const ghost   = tf.tp(shot.aim || shot.ghost);
+    const contact = shot.type === 'kick' ? tf.tp(shot.ghost) : ghost;
+    this._drawGhostBall(contact.x, contact.y, tf.td(C.BALL_R));
     const cue = balls.find(b => b.id === 0);
     if (cue) {
       this._drawGlowLine([tf.tp(cue), ghost], '#00e676', 2);
@@ -623,6 +743,13 @@ class ARRenderer {
     return true;
   }
 
+  // Ends the animation where it is, without its completion callback
+  stopAnimation() {
+    this.animating = false;
+    this.animFrames = null;
+    this._animOnComplete = null;
+  }
+
   _endAnimation() {
     this.animating = false;
     if (this._animOnComplete) this._animOnComplete();
@@ -12,12 +12,45 @@ class ShotEngine {
 
   // ── Ghost-ball aiming ────────────────────────────────────────────────────
   // Returns the position the cue ball must reach to send objBall into pocket.
-  ghostBall(objBall, pocket) {
+  //  throwComp: { cueBall, power, tip } → shift the contact so the object
+  //  ball's throw (see throwAngle) carries it onto the pocket line instead.
+  ghostBall(objBall, pocket, throwComp = null) {
     const dir = V.norm(V.sub(pocket, objBall));
-    return {
+    let ghost = {
       x: objBall.x - dir.x * this.R2,
       y: objBall.y - dir.y * this.R2,
     };
+    if (!throwComp) return ghost;
+
+    const { cueBall, power = 0.5, tip = null } = throwComp;
+    const target = V.angle(dir);
+    for (let iter = 0; iter < 3; iter++) {
+      const approach = V.norm(V.sub(ghost, cueBall));
+      const normal   = V.norm(V.sub(objBall, ghost));
+      const cut      = Math.atan2(approach.x * normal.y - approach.y * normal.x, V.dot(approach, normal));
+      if (Math.abs(cut) > V.toRad(85)) break;
+      const st    = this._contactState(cueBall, ghost, power, tip);
+      const throwRad = this.throwAngle(cut, st.speed, st.roll, st.wz);
+      const n = V.fromAngle(target - throwRad);
+      ghost = { x: objBall.x - n.x * this.R2, y: objBall.y - n.y * this.R2 };
+    }
+    return ghost;
+  }
+
+  // ── Collision-induced throw ─────────────────────────────────────────────
+  // Signed angle (radians) from the line of centres to the object ball's
+  // departure, found by replaying the contact through Physics' frictional
+  // ball-ball model. cutRad is signed the same way (from the cue ball's
+  // direction to the line of centres); speed is the cue ball's speed at
+  // contact; roll: 1 = natural roll, 0 = stun, −1 = draw; wz: side spin.
+  throwAngle(cutRad, speed, roll = 1, wz = 0) {
+    const a = new Ball(0, 0, 0);
+    const b = new Ball(1, this.R2 * Math.cos(cutRad), this.R2 * Math.sin(cutRad));
+    a.vx = speed;
+    a.wy = roll * speed / this.R;
+    a.wz = wz;
+    physics._ballBallCollide(a, b);
+    return Math.atan2(b.vy, b.vx) - cutRad;
   }
 
   // Cut angle in degrees (0 = straight in, 90 = impossible thin cut)
@@ -122,7 +155,9 @@ class ShotEngine {
 
   // ── Shot scoring ─────────────────────────────────────────────────────────
   // Returns a score 0–100 for shooting cueBall → objBall → pocket.
-  scoreShot(cueBall, objBall, pocket, allBalls, pocketedSet) {
+  //  profile: a player's fitted error profile (see PlayerProfiles); when
+  //  given, pocketability is that player's make chance for the shot.
+  scoreShot(cueBall, objBall, pocket, allBalls, pocketedSet, profile = null) {
     const ghostPos = this.ghostBall(objBall, pocket);
     const cut = this.cutAngle(cueBall, ghostPos, objBall);
 
@@ -135,7 +170,10 @@ class ShotEngine {
     // Longer shots are harder
     const distPenalty = Math.max(0, 1 - (distCB_GB + distOB_P) / (C.TABLE_W * 1.5));
 
-    const pocketability = cutScore * 0.6 + distPenalty * 0.4;
+    const pocketability = profile
+      ? this.chainMakeChance(cueBall, ghostPos, [{ ball: objBall, mode: 'cut' }], pocket, 2000,
+                             this.aimSigma(profile, cut, distCB_GB))
+      : cutScore * 0.6 + distPenalty * 0.4;
 
     // (2) Path clearance
     const excludes = [cueBall.id, objBall.id];
@@ -174,9 +212,630 @@ class ShotEngine {
     return 0;
   }
 
+  // ── Bank shots ───────────────────────────────────────────────────────────
+  // The four cushions as the lines a ball centre touches them on
+  // (coord = the fixed x or y), with the along-rail spans clear of the
+  // pocket mouths, from Physics' rail geometry.
+  _cushionLines() {
+    const R = this.R;
+    const lines = [];
+    for (const s of physics.table.rails) {
+      if (s.tx !== 0 && s.ty !== 0) continue;                   // jaw facing
+      const axis = s.nx !== 0 ? 'x' : 'y';
+      const face = axis === 'x' ? s.ax : s.ay;
+      if (face !== 0 && face !== (axis === 'x' ? C.TABLE_W : C.TABLE_H)) continue;
+      let line = lines.find(l => l.nx === s.nx && l.ny === s.ny);
+      if (!line) {
+        line = { nx: s.nx, ny: s.ny, axis, face, coord: face - R * (s.nx + s.ny), spans: [] };
+        lines.push(line);
+      }
+      const a = axis === 'x' ? s.ay : s.ax;
+      const b = a + s.len * (axis === 'x' ? s.ty : s.tx);
+      line.spans.push([Math.min(a, b) + R, Math.max(a, b) - R]);
+    }
+    return lines;
+  }
+
+  _mirror(p, line) {
+    return line.axis === 'x'
+      ? { x: 2 * line.coord - p.x, y: p.y }
+      : { x: p.x, y: 2 * line.coord - p.y };
+  }
+
+  // Where the ray from p along d meets the cushion line (null if never)
+  _hitLine(p, d, line) {
+    const dv = line.axis === 'x' ? d.x : d.y;
+    const t  = (line.coord - (line.axis === 'x' ? p.x : p.y)) / dv;
+    if (!(t > 1e-6) || !isFinite(t)) return null;
+    return { x: p.x + d.x * t, y: p.y + d.y * t };
+  }
+
+  _onCushion(pt, line) {
+    const u = line.axis === 'x' ? pt.y : pt.x;
+    return line.spans.some(([lo, hi]) => u >= lo && u <= hi);
+  }
+
+  // Rolling ball arriving with velocity vel: rebound through Physics'
+  // cushion model (speed-dependent COR, nose friction), then the slide that
+  // follows until it rolls again. Returns that rolling velocity and how far
+  // the ball drifted from the contact point while sliding.
+  _rebound(vel, line) {
+    const b = new Ball(0, 0, 0);
+    b.vx = vel.x;
+    b.vy = vel.y;
+    physics._setNaturalRoll(b);
+    physics._cushionCollide(b, line.nx, line.ny);
+
+    const u  = b.slipSpeed;
+    const a  = C.MU_SLIDE * C.GRAVITY;
+    const tS = u / (3.5 * a);
+    const ax = u > 1e-9 ? -a * b.slipX / u : 0;
+    const ay = u > 1e-9 ? -a * b.slipY / u : 0;
+    return {
+      vel:  { x: b.vx + ax * tS, y: b.vy + ay * tS },
+      disp: { x: b.vx * tS + 0.5 * ax * tS * tS, y: b.vy * tS + 0.5 * ay * tS * tS },
+    };
+  }
+
+  // Follow a rolling ball from `from` via contact p0 on lines[0], then off
+  // each further line in turn. Returns the contacts, where the ball is and
+  // how fast it rolls after the last rebound, and err: the angle from that
+  // rolling direction to `target`. null if it misses a rail or runs out of
+  // pace before reaching the next rail or the target.
+  //  speed: speed arriving at the first rail (mm/s)
+  _railTrace(from, p0, lines, speed, target) {
+    let   vel = V.scale(V.norm(V.sub(p0, from)), speed);
+    let   pos = p0;
+    const pts = [p0];
+    for (let k = 0; k < lines.length; k++) {
+      if (k > 0) {
+        const hit = this._hitLine(pos, V.norm(vel), lines[k]);
+        if (!hit) return null;
+        // Rolling resistance over the leg
+        const v2 = V.len(vel) ** 2 - 2 * C.MU_ROLL * C.GRAVITY * V.dist(pos, hit);
+        if (v2 <= 0) return null;
+        vel = V.scale(V.norm(vel), Math.sqrt(v2));
+        pos = hit;
+        pts.push(pos);
+      }
+      const rb = this._rebound(vel, lines[k]);
+      vel = rb.vel;
+      pos = V.add(pos, rb.disp);
+    }
+    // Must still be rolling when it gets there
+    if (V.len(vel) ** 2 < 2 * C.MU_ROLL * C.GRAVITY * V.dist(pos, target)) return null;
+    const dir = V.norm(vel);
+    const toTarget = V.norm(V.sub(target, pos));
+    const err = Math.atan2(dir.x * toTarget.y - dir.y * toTarget.x, V.dot(dir, toTarget));
+    return { pts, pos, dir, err };
+  }
+
+  // Path of a ball off `lines` (in order) onto `target`: the first cushion
+  // contact for which the modelled rebounds finish on the target, searched
+  // along the whole rail. Used for banks (object ball → pocket) and kicks
+  // (cue ball → object ball).
+  //  speed: speed arriving at the first rail (mm/s)
+  // Returns { pts: [from, contacts…, target], dir } or null.
+  railPath(from, target, lines, speed = 2500) {
+    let img = { x: target.x, y: target.y };
+    for (let k = lines.length - 1; k >= 0; k--) img = this._mirror(img, lines[k]);
+    const first = this._hitLine(from, V.norm(V.sub(img, from)), lines[0]);
+    if (!first) return null;
+
+    const along = lines[0].axis === 'x' ? 'y' : 'x';
+    const trace = u => this._railTrace(from, { ...first, [along]: u }, lines, speed, target);
+
+    // Scan the first cushion for contact points where the error changes
+    // sign, bisect each, and keep the one nearest the mirror-image aim
+    let best = null;
+    for (const [lo, hi] of lines[0].spans) {
+      const n = Math.max(2, Math.ceil((hi - lo) / 60));
+      let uPrev = lo, tPrev = trace(lo);
+      for (let i = 1; i <= n; i++) {
+        const u = lo + (hi - lo) * i / n;
+        const t = trace(u);
+        if (tPrev && t && Math.sign(t.err) !== Math.sign(tPrev.err) && Math.abs(t.err - tPrev.err) < 1) {
+          let a = uPrev, ea = tPrev.err, b = u, root = t;
+          for (let k = 0; k < 24; k++) {
+            const m  = 0.5 * (a + b);
+            const tm = trace(m);
+            if (!tm) break;
+            root = tm;
+            if (Math.sign(tm.err) === Math.sign(ea)) { a = m; ea = tm.err; } else { b = m; }
+          }
+          const d = Math.abs(root.pts[0][along] - first[along]);
+          if (Math.abs(root.err) < V.toRad(0.5) && (!best || d < best.d)) best = { d, ...root };
+        }
+        uPrev = u; tPrev = t;
+      }
+    }
+    if (!best) return null;
+
+    if (!best.pts.every((pt, k) => this._onCushion(pt, lines[k]))) return null;
+    const last = best.pts[best.pts.length - 1];
+    return { pts: [{ x: from.x, y: from.y }, ...best.pts, { x: target.x, y: target.y }],
+             dir: V.norm(V.sub(target, last)) };
+  }
+
+  // Every one-rail route and ordered pair of rails
+  _railRoutes(lines) {
+    const routes = [];
+    for (const a of lines) {
+      routes.push([a]);
+      for (const b of lines) if (b !== a) routes.push([a, b]);
+    }
+    return routes;
+  }
+
+  // One- and two-rail bank candidates for objBall into pocket
+  bankShots(cueBall, objBall, pocket, balls) {
+    const lines = this._cushionLines()
+      // A rail running into this pocket can't be banked off into it
+      .filter(l => Math.abs((l.axis === 'x' ? pocket.x : pocket.y) - l.face) > 1);
+    const shots = [];
+    for (const route of this._railRoutes(lines)) {
+      const path = this.railPath(objBall, pocket, route);
+      if (!path) continue;
+
+      const first = V.norm(V.sub(path.pts[1], objBall));
+      const ghost = { x: objBall.x - first.x * this.R2, y: objBall.y - first.y * this.R2 };
+      const cut   = this.cutAngle(cueBall, ghost, objBall);
+      if (cut > 75) continue;
+
+      const score = this.scoreBank(cueBall, objBall, pocket, ghost, path, balls);
+      if (score <= 0) continue;
+
+      shots.push({
+        type:     'bank',
+        rails:    route.length,
+        objBall,
+        pocket,
+        ghost,
+        cut,
+        score,
+        difficulty: this._difficultyLabel(cut + 15 * route.length),
+        aim:      this.ghostBall(objBall, path.pts[1], { cueBall }),
+        railPts:  path.pts.slice(1, -1),
+        cbPath:   this.cueBallPath(cueBall, ghost, objBall, 'natural'),
+        obPath:   path.pts,
+      });
+    }
+    return shots;
+  }
+
+  // Same scale as scoreShot, with the object ball's path length running
+  // over every leg and a penalty per rail for the extra error sensitivity
+  scoreBank(cueBall, objBall, pocket, ghost, path, allBalls) {
+    const cut = this.cutAngle(cueBall, ghost, objBall);
+    if (cut > 70) return 0;
+
+    // Path clearance: cue → ghost, then every object-ball leg
+    if (!physics.isPathClear(cueBall, ghost, allBalls, [cueBall.id, objBall.id])) return 0;
+    for (let i = 0; i < path.pts.length - 1; i++) {
+      if (!physics.isPathClear(path.pts[i], path.pts[i + 1], allBalls, [objBall.id])) return 0;
+    }
+
+    // Side pockets refuse shallow entries
+    const drop = physics.table.drops.find(d => d.pocket.id === pocket.id);
+    const entry = drop ? V.dot(path.dir, { x: drop.ax, y: drop.ay }) : 1;
+    if (pocket.type === 'side' && entry < 0.5) return 0;
+
+    let obLen = 0;
+    for (let i = 0; i < path.pts.length - 1; i++) obLen += V.dist(path.pts[i], path.pts[i + 1]);
+
+    const cutScore    = Math.max(0, 1 - cut / 70);
+    const distPenalty = Math.max(0, 1 - (V.dist(cueBall, ghost) + obLen) / (C.TABLE_W * 1.5));
+    const pocketability = cutScore * 0.6 + distPenalty * 0.4;
+
+    const lastLeg  = V.dist(path.pts[path.pts.length - 2], pocket);
+    const openingR = pocket.type === 'corner' ? C.POCKET_R_CORNER : C.POCKET_R_SIDE;
+    const openingScore = Math.min(1, Math.atan2(openingR, lastLeg) / V.toRad(5));
+
+    const cbPost = this.cueBallPath(cueBall, ghost, objBall, 'natural');
+    const scratchRisk = this._scratchRisk(ghost, cbPost, allBalls);
+
+    const raw = pocketability * 0.50
+              + openingScore  * 0.20
+              + (1 - scratchRisk) * 0.15
+              + distPenalty   * 0.15;
+
+    const railFactor = path.pts.length === 3 ? 0.7 : 0.5;
+    return Math.round(raw * railFactor * 100);
+  }
+
+  // ── Kick shots ───────────────────────────────────────────────────────────
+  // Cue ball off one or two rails onto a legal target, for when none can be
+  // hit directly. Scored purely on the chance of a legal first hit (0–100),
+  // so findBestShots() only offers kicks when there is no pot.
+  kickShots(cueBall, targets, balls) {
+    const routes = this._railRoutes(this._cushionLines());
+    const shots  = [];
+    for (const obj of targets) {
+      for (const route of routes) {
+        const path = this.railPath(cueBall, obj, route);
+        if (!path) continue;
+
+        // Full hit: cue-ball centre one ball-width short along the last leg
+        const ghost = { x: obj.x - path.dir.x * this.R2, y: obj.y - path.dir.y * this.R2 };
+        const legs  = [...path.pts.slice(0, -1), ghost];
+        let clear = true;
+        for (let i = 0; i < legs.length - 1 && clear; i++) {
+          clear = physics.isPathClear(legs[i], legs[i + 1], balls, [cueBall.id, obj.id]);
+        }
+        if (!clear) continue;
+
+        const hitChance = this.kickHitChance(cueBall, obj, route, path);
+        if (hitChance < 0.05) continue;
+
+        shots.push({
+          type:     'kick',
+          rails:    route.length,
+          objBall:  obj,
+          pocket:   null,
+          ghost,
+          aim:      path.pts[1],       // the cue ball is sent at the first rail
+          cut:      0,
+          score:    Math.round(hitChance * 100),
+          hitChance,
+          // Rated as if it were a cut of matching difficulty
+          difficulty: this._difficultyLabel(60 * (1 - hitChance)),
+          railPts:  path.pts.slice(1, -1),
+          cbPath:   legs.slice(1),
+          obPath:   [],
+        });
+      }
+    }
+    return shots;
+  }
+
+  // Probability the cue ball still reaches obj first when its launch
+  // direction is off by the player's aiming error, with each cushion
+  // adding its own scatter (C.AIM_SIGMA_DEG, C.RAIL_SIGMA_DEG).
+  kickHitChance(cueBall, obj, route, path, speed = 2500) {
+    const sigma = V.toRad(Math.sqrt(C.AIM_SIGMA_DEG ** 2 + route.length * C.RAIL_SIGMA_DEG ** 2));
+    const base  = V.angle(V.sub(path.pts[1], cueBall));
+    let hit = 0, total = 0;
+    for (let i = -6; i <= 6; i++) {
+      const d = i * sigma / 2;          // ±3σ in σ/2 steps
+      const w = Math.exp(-0.5 * (d / sigma) ** 2);
+      total += w;
+
+      const p0 = this._hitLine(cueBall, V.fromAngle(base + d), route[0]);
+      if (!p0 || !this._onCushion(p0, route[0])) continue;
+      const t = this._railTrace(cueBall, p0, route, speed, obj);
+      if (!t) continue;
+      const rel = V.sub(obj, t.pos);
+      const ahead = V.dot(rel, t.dir);
+      const miss  = Math.abs(rel.x * t.dir.y - rel.y * t.dir.x);
+      if (ahead > 0 && miss < this.R2) hit += w;
+    }
+    return hit / total;
+  }
+
+  // ── Combinations and caroms ─────────────────────────────────────────────
+  // Two-ball shots built backward from the pocket:
+  //  combo: cue → A → B → pocket   (A driven into B along B's ghost line)
+  //  carom: cue → A ⤳ B → pocket   (A glances off B into the pocket)
+  // A must be a legal target; for combos B must be pottable (see
+  // GameState.pottableTargets – by default the legal targets too).
+  //  profile: the shooter's fitted error profile; its aiming error sets the
+  //  make chance (see scoreShot)
+  chainShots(cueBall, targets, balls, pottable = targets, profile = null) {
+    const shots = [];
+    const maxCut = 60;
+    const sigma = (cut, ghost) => profile ? this.aimSigma(profile, cut, V.dist(cueBall, ghost)) : C.AIM_SIGMA_DEG;
+    for (const a of targets) {
+      for (const pocket of C.POCKETS) {
+        // Combinations
+        for (const b of pottable) {
+          if (b === a) continue;
+          const ghostB = this.ghostBall(b, pocket);
+          const ghostA = this.ghostBall(a, ghostB);
+          const cutA = this.cutAngle(cueBall, ghostA, a);
+          const cutB = this.cutAngle(a, ghostB, b);
+          if (cutA > maxCut || cutB > maxCut) continue;
+          if (!physics.isPathClear(cueBall, ghostA, balls, [cueBall.id, a.id])) continue;
+          if (!physics.isPathClear(a, ghostB, balls, [a.id, b.id])) continue;
+          if (!physics.isPathClear(b, pocket, balls, [b.id])) continue;
+
+          const make = this.chainMakeChance(cueBall, ghostA, [{ ball: a, mode: 'cut' }, { ball: b, mode: 'cut' }], pocket,
+                                            2000, sigma(cutA, ghostA));
+          const shot = this._chainShot('combo', cueBall, a, b, pocket, ghostA, ghostB, make, [cutA, cutB],
+                                       [{ x: a.x, y: a.y }, ghostB], this.objBallPath(b, pocket));
+          if (shot) shots.push(shot);
+        }
+
+        // Caroms
+        for (const b of balls) {
+          if (b === a || b.id === cueBall.id || b.pocketed) continue;
+          for (const kiss of this.caromContacts(a, b, pocket)) {
+            const ghostA = this.ghostBall(a, kiss);
+            const cutA = this.cutAngle(cueBall, ghostA, a);
+            if (cutA > maxCut) continue;
+            if (!physics.isPathClear(cueBall, ghostA, balls, [cueBall.id, a.id])) continue;
+            if (!physics.isPathClear(a, kiss, balls, [a.id, b.id])) continue;
+            if (!physics.isPathClear(kiss, pocket, balls, [a.id, b.id])) continue;
+
+            const make = this.chainMakeChance(cueBall, ghostA, [{ ball: a, mode: 'cut' }, { ball: b, mode: 'carom' }], pocket,
+                                              2000, sigma(cutA, ghostA));
+            const shot = this._chainShot('carom', cueBall, a, b, pocket, ghostA, kiss, make,
+                                         [cutA, this.cutAngle(a, kiss, b)], [{ x: a.x, y: a.y }, kiss], this.objBallPath(kiss, pocket));
+            if (shot) shots.push(shot);
+          }
+        }
+      }
+    }
+    return shots;
+  }
+
+  // Where A must meet B (A's centre at contact) for A to glance off B into
+  // the pocket, found by scanning the contact angle around B.
+  //  speed: A's launch speed, which sets how much roll it has at contact
+  caromContacts(a, b, pocket, speed = 2000) {
+    const lo = Math.cos(V.toRad(75)), hi = Math.cos(V.toRad(15));   // thin … full
+    const at = (phi) => {
+      const n    = V.fromAngle(phi);
+      const kiss = { x: b.x - n.x * this.R2, y: b.y - n.y * this.R2 };
+      if (kiss.x < this.R || kiss.x > C.TABLE_W - this.R || kiss.y < this.R || kiss.y > C.TABLE_H - this.R) return null;
+      const inDir = V.norm(V.sub(kiss, a));
+      const full  = V.dot(inDir, n);
+      if (full < lo || full > hi) return null;
+      const out = this._caromDir(inDir, n, this._rollFraction(V.dist(a, kiss), speed));
+      const toP = V.norm(V.sub(pocket, kiss));
+      return { kiss, err: Math.atan2(out.x * toP.y - out.y * toP.x, V.dot(out, toP)) };
+    };
+
+    const found = [];
+    const N = 180;
+    let pPrev = 0, prev = at(0);
+    for (let i = 1; i <= N; i++) {
+      const phi = 2 * Math.PI * i / N;
+      const cur = at(phi);
+      if (prev && cur && Math.sign(prev.err) !== Math.sign(cur.err) && Math.abs(cur.err - prev.err) < 1) {
+        let x0 = pPrev, e0 = prev.err, x1 = phi, root = cur;
+        for (let k = 0; k < 20; k++) {
+          const m = at(0.5 * (x0 + x1));
+          if (!m) break;
+          root = m;
+          if (Math.sign(m.err) === Math.sign(e0)) { x0 = 0.5 * (x0 + x1); e0 = m.err; } else { x1 = 0.5 * (x0 + x1); }
+        }
+        if (Math.abs(root.err) < V.toRad(0.5)) found.push(root.kiss);
+      }
+      pPrev = phi; prev = cur;
+    }
+    return found;
+  }
+
+  // Share of natural roll an object ball launched at `speed` (sliding, no
+  // spin) has built up after travelling `dist`
+  _rollFraction(dist, speed) {
+    const a  = C.MU_SLIDE * C.GRAVITY;
+    if (dist >= 12 / 49 * speed * speed / a) return 1;
+    const t = (speed - Math.sqrt(speed * speed - 2 * a * dist)) / a;
+    return 2.5 * a * t / (speed - a * t);
+  }
+
+  // Direction a ball moving along inDir with roll share f leaves in after
+  // glancing off a stationary ball (line of centres n), once cloth friction
+  // has it rolling again: 5/7 of the tangential velocity plus 2/7·f of the
+  // incoming one. f = 0 is the 90° rule, f = 1 the 30° rule.
+  _caromDir(inDir, n, f) {
+    const vt = V.sub(inDir, V.scale(n, V.dot(inDir, n)));
+    return V.norm(V.add(V.scale(vt, 5), V.scale(inDir, 2 * f)));
+  }
+
+  //  cuts: [A's cut, B's cut (combo) or how thin A glances off B (carom)]
+  _chainShot(type, cueBall, a, b, pocket, ghostA, sendTo, make, cuts, obPath, chainPath) {
+    if (make < 0.1) return null;
+    const cbPath = this.cueBallPath(cueBall, ghostA, a, 'natural');
+    return {
+      type,
+      objBall:    a,
+      second:     b,
+      pocket,
+      ghost:      ghostA,
+      aim:        this.ghostBall(a, sendTo, { cueBall }),
+      sendTo,
+      cut:        cuts[0],
+      score:      this._chainScore(cueBall, ghostA, pocket, make, cuts, obPath, chainPath, cbPath),
+      makeChance: make,
+      difficulty: this._difficultyLabel(60 * (1 - make)),
+      cbPath,
+      obPath,
+      chainGhost: sendTo,
+      chainPath,
+    };
+  }
+
+  // Same scale as scoreShot, with the cut score compounded over both
+  // contacts and every leg (cue → A → B's contact → pocket) counted in
+  // the distance, then scaled by the make chance: the aiming error grows
+  // down the chain, so a combo only rates well when it is genuinely on
+  _chainScore(cueBall, ghostA, pocket, make, cuts, obPath, chainPath, cbPath) {
+    const cutScore = cuts.reduce((s, cut) => s * Math.max(0, 1 - cut / 70), 1);
+    const lastLeg  = V.dist(chainPath[0], pocket);
+    const distPenalty = Math.max(0, 1 - (V.dist(cueBall, ghostA) + V.dist(obPath[0], obPath[1]) + lastLeg) / (C.TABLE_W * 1.5));
+    const pocketability = cutScore * 0.6 + distPenalty * 0.4;
+
+    const openingR = pocket.type === 'corner' ? C.POCKET_R_CORNER : C.POCKET_R_SIDE;
+    const openingScore = Math.min(1, Math.atan2(openingR, lastLeg) / V.toRad(5));
+
+    const scratchRisk = this._scratchRisk(ghostA, cbPath);
+
+    const raw = pocketability * 0.50
+              + openingScore  * 0.20
+              + (1 - scratchRisk) * 0.15
+              + distPenalty   * 0.15;
+    return Math.round(raw * make * 100);
+  }
+
+  // Chance the last ball of a contact chain still finds the pocket when the
+  // cue ball's launch is off by the aiming error (sigmaDeg, 1σ). Each
+  // step either drives `ball` off along the line of centres ('cut') or
+  // glances the moving ball off it ('carom', see _caromDir), so angular
+  // errors compound down the chain.
+  //  speed: launch speed of the object balls (sets their roll at a carom)
+  chainMakeChance(cueBall, aimPt, steps, pocket, speed = 2000, sigmaDeg = C.AIM_SIGMA_DEG) {
+    const sigma = V.toRad(sigmaDeg);
+    const base  = V.angle(V.sub(aimPt, cueBall));
+    const openingR = pocket.type === 'corner' ? C.POCKET_R_CORNER : C.POCKET_R_SIDE;
+    const tol = openingR - this.R;
+    let made = 0, total = 0;
+    for (let i = -6; i <= 6; i++) {
+      const d = i * sigma / 2;          // ±3σ in σ/2 steps
+      const w = Math.exp(-0.5 * (d / sigma) ** 2);
+      total += w;
+
+      let pos = { x: cueBall.x, y: cueBall.y };
+      let dir = V.fromAngle(base + d);
+      let ok  = true;
+      for (const st of steps) {
+        const hit = this._rayCircle(pos, dir, st.ball, this.R2);
+        if (!hit) { ok = false; break; }
+        const n = V.norm(V.sub(st.ball, hit));
+        if (st.mode === 'cut') {
+          pos = { x: st.ball.x, y: st.ball.y };
+          dir = n;
+        } else {
+          if (V.dot(dir, n) > 0.999) { ok = false; break; }   // dead full: no carom
+          dir = this._caromDir(dir, n, this._rollFraction(V.dist(pos, hit), speed));
+          pos = hit;
+        }
+      }
+      if (!ok) continue;
+      const rel = V.sub(pocket, pos);
+      if (V.dot(rel, dir) > 0 && Math.abs(rel.x * dir.y - rel.y * dir.x) < tol) made += w;
+    }
+    return made / total;
+  }
+
+  // First point where a ray from p along unit d comes within r of centre c
+  _rayCircle(p, d, c, r) {
+    const fx = p.x - c.x, fy = p.y - c.y;
+    const b  = fx * d.x + fy * d.y;
+    const q  = fx * fx + fy * fy - r * r;
+    const disc = b * b - q;
+    if (disc < 0) return null;
+    const t = -b - Math.sqrt(disc);
+    if (t < 0) return null;
+    return { x: p.x + d.x * t, y: p.y + d.y * t };
+  }
+
+  // ── Safety play ──────────────────────────────────────────────────────────
+  // Defensive candidates: searches cue direction (across each legal ball's
+  // contact window) and power with Physics.simulate. Only legal outcomes
+  // count – legal first contact, a rail (or pocket) after contact, no
+  // scratch, game ball still up – and the leave is scored by how hidden the
+  // opponent's cue ball is from their targets and how tight it is to a rail.
+  findSafeties(balls, gameState, powers = [0.15, 0.3, 0.45]) {
+    const cueBall = balls.find(b => b.id === 0);
+    if (!cueBall || cueBall.pocketed) return [];
+    if (gameState.phase === GAME_PHASE.BREAK || gameState.phase === GAME_PHASE.GAME_OVER) return [];
+
+    const legal   = new Set(gameState.legalTargets());
+    // Balls hidden behind others would only be found by a kick (and a
+    // packed rack would cost hundreds of long simulations)
+    const targets = balls.filter(b => legal.has(b.id) && !b.pocketed &&
+                                      physics.isPathClear(cueBall, b, balls, [cueBall.id, b.id]));
+    const found   = [];
+
+    for (const obj of targets) {
+      const d    = V.dist(cueBall, obj);
+      const base = V.angle(V.sub(obj, cueBall));
+      const half = Math.asin(Math.min(1, this.R2 / d));
+      for (const f of [-0.85, -0.55, -0.25, 0, 0.25, 0.55, 0.85]) {
+        const dir   = V.fromAngle(base + f * half);
+        const ghost = this._rayCircle(cueBall, dir, obj, this.R2);
+        if (!ghost) continue;
+        for (const power of powers) {
+          const vel = this.aimToVelocity(cueBall, ghost, power);
+          const sim = physics.simulate(balls, 0, vel.vx, vel.vy, { recordEvery: 8 });
+          const leave = this._safetyLeave(sim, gameState, legal);
+          if (leave) found.push({ obj, ghost, power, sim, leave });
+        }
+      }
+    }
+
+    found.sort((a, b) => b.leave.score - a.leave.score);
+    return found.slice(0, 3).map(({ obj, ghost, power, sim, leave }) => {
+      const track = id => sim.frames.map(f => f.find(s => s.id === id)).filter(s => s && !s.pocketed);
+      return {
+        type:     'safety',
+        objBall:  obj,
+        pocket:   null,
+        ghost,
+        aim:      ghost,
+        power,
+        suggestedPower: power,
+        cut:      this.cutAngle(cueBall, ghost, obj),
+        score:    leave.score,
+        // Rated as if it were a cut of matching difficulty
+        difficulty: this._difficultyLabel(60 * (1 - leave.score / 100)),
+        expected: leave,
+        cbPath:   track(0).map(s => ({ x: s.x, y: s.y })),
+        obPath:   track(obj.id).map(s => ({ x: s.x, y: s.y })),
+      };
+    });
+  }
+
+  // Checks a simulated safety for legality and scores the leave (0–100).
+  // Returns { score, hidden, targets, railDist, cue } or null if illegal.
+  _safetyLeave(sim, gameState, legal) {
+    const first = sim.events.find(e => e.type === 'ball');
+    if (!first) return null;
+    const firstId = first.a === 0 ? first.b : first.a;
+    if (!legal.has(firstId)) return null;
+    if (sim.pocketed.has(0) || sim.pocketed.has(gameState.gameBall)) return null;
+    if (!sim.events.some(e => e.t >= first.t && (e.type === 'rail' || e.type === 'pocket'))) return null;
+
+    // The opponent's targets once this shot is over
+    const gone = new Set([...gameState.pocketed, ...sim.pocketed]);
+    let ids = gameState.remainingForPlayer(gameState.oppositePlayer, gone);
+    if (!ids.length) ids = [gameState.gameBall];
+
+    const fb  = sim.finalBalls;
+    const cue = fb.find(b => b.id === 0);
+    let hiddenSum = 0, hiddenAll = 0, n = 0;
+    for (const id of ids) {
+      const t = fb.find(b => b.id === id);
+      if (!t || t.pocketed) continue;
+      // Full hit plus thin hits either side
+      const u = V.norm(V.sub(t, cue));
+      const side = { x: -u.y * this.R * 1.8, y: u.x * this.R * 1.8 };
+      const seen = [t, V.add(t, side), V.sub(t, side)]
+        .filter(p => physics.isPathClear(cue, p, fb, [0, id])).length;
+      hiddenSum += 1 - seen / 3;
+      if (!seen) hiddenAll++;
+      n++;
+    }
+    const hidden = n ? hiddenSum / n : 0;
+
+    const railDist = Math.min(cue.x, C.TABLE_W - cue.x, cue.y, C.TABLE_H - cue.y) - this.R;
+    const railScore = Math.max(0, 1 - railDist / 300);
+
+    return {
+      score:   Math.round((hidden * 0.7 + railScore * 0.3) * 100),
+      hidden:  hiddenAll,
+      targets: n,
+      railDist: Math.max(0, Math.round(railDist)),
+      cue:     { x: cue.x, y: cue.y },
+    };
+  }
+
+  // Offensive candidates, led by the best safety when no pot is worth
+  // taking on (best score under C.SAFETY_BELOW)
+  recommendShots(balls, gameState, profile = null) {
+    const shots = this.findBestShots(balls, gameState, { profile });
+    if (shots.length && shots[0].score >= C.SAFETY_BELOW) return shots;
+    return [...this.findSafeties(balls, gameState).slice(0, 1), ...shots];
+  }
+
   // ── Best shot finder ─────────────────────────────────────────────────────
   // Returns sorted array of candidate shots for the current player.
-  findBestShots(balls, gameState) {
+  //  position:   rescore the top shots by the follow-up they leave
+  //  directOnly: skip banks, combos, caroms and kicks (quick look-ahead)
+  //  profile:    the shooter's fitted error profile, if any (see scoreShot)
+  findBestShots(balls, gameState, { position = true, directOnly = false, profile = null } = {}) {
     const cueBall = balls.find(b => b.id === 0);
     if (!cueBall || cueBall.pocketed) return [];
 
@@ -192,15 +851,17 @@ class ShotEngine {
         const cut   = this.cutAngle(cueBall, ghost, obj);
         if (cut > 75) continue;
 
-        const score = this.scoreShot(cueBall, obj, pocket, balls, gameState.pocketed);
+        const score = this.scoreShot(cueBall, obj, pocket, balls, gameState.pocketed, profile);
         if (score <= 0) continue;
 
         const difficulty = this._difficultyLabel(cut);
 
         candidates.push({
+          type:     'direct',
           objBall:  obj,
           pocket,
           ghost,
+          aim:      this.ghostBall(obj, pocket, { cueBall }),
           cut,
           score,
           difficulty,
@@ -208,12 +869,216 @@ class ShotEngine {
           obPath: this.objBallPath(obj, pocket),
         });
       }
+
+      if (directOnly) continue;
+      for (const pocket of C.POCKETS) {
+        candidates.push(...this.bankShots(cueBall, obj, pocket, balls));
+      }
+    }
+
+    if (!directOnly) {
+      const pottable = gameState.pottableTargets()
+        .map(id => balls.find(b => b.id === id))
+        .filter(b => b && !b.pocketed);
+      candidates.push(...this.chainShots(cueBall, targets, balls, pottable, profile));
+
+      // Every legal ball hidden from the cue ball and nothing to pot: look
+      // for kicks instead. A kick's score is its legal-hit chance, not a
+      // pot rating, so kicks are never ranked against pots.
+      const hidden = targets.every(obj => !physics.isPathClear(cueBall, obj, balls, [cueBall.id, obj.id]));
+      if (hidden && !candidates.length) candidates.push(...this.kickShots(cueBall, targets, balls));
     }
 
     candidates.sort((a, b) => b.score - a.score);
+
+    if (position) {
+      // Only the top potting shots get a follow-up rating. They lead the
+      // list, ahead of the rest on raw scores, so blended and raw scores are
+      // never sorted against each other.
+      const rated = candidates.filter(s => s.pocket).slice(0, C.POSITION_TOP);
+      for (const shot of rated) {
+        shot.position = this.positionPlay(cueBall, shot, balls, gameState, profile);
+        const next = shot.position ? shot.position.score : 0;
+        shot.score = Math.round(shot.score * (1 - C.POSITION_WEIGHT) + next * C.POSITION_WEIGHT);
+      }
+      rated.sort((a, b) => b.score - a.score);
+      return [...rated, ...candidates.filter(s => !rated.includes(s))];
+    }
     return candidates;
   }
 
+  // ── Ball-in-hand placement ───────────────────────────────────────────────
+  // Where to put the cue ball in hand. Every legal point of a C.PLACE_GRID
+  // grid is rated by its best direct shot; the C.PLACE_TOP best spots are
+  // refined by a compass search with a halving step, then rescored by
+  // findBestShots() in full, position for the next ball included. Returns
+  //   { cue: { x, y }, shot, score }
+  // with `shot` ranked from that spot, or null when no spot has a shot.
+  placeCueBall(balls, gameState, profile = null) {
+    const placed = p => balls.map(b => b.id === 0 ? new Ball(0, p.x, p.y) : b);
+    const rate   = p => {
+      if (!gameState.canPlaceCue(balls, p)) return -1;
+      const shot = this.findBestShots(placed(p), gameState, { position: false, directOnly: true, profile })[0];
+      return shot ? shot.score : 0;
+    };
+
+    const step = C.PLACE_GRID;
+    const spots = [];
+    for (let x = step / 2; x < C.TABLE_W; x += step) {
+      for (let y = step / 2; y < C.TABLE_H; y += step) {
+        const score = rate({ x, y });
+        if (score > 0) spots.push({ x, y, score });
+      }
+    }
+    spots.sort((a, b) => b.score - a.score);
+
+    let best = null;
+    for (const spot of spots.slice(0, C.PLACE_TOP)) {
+      let p = spot;
+      for (let d = step / 2; d >= C.BALL_R / 2; d /= 2) {
+        let moved = true;
+        while (moved) {
+          moved = false;
+          for (const [dx, dy] of [[d, 0], [-d, 0], [0, d], [0, -d]]) {
+            const q = { x: p.x + dx, y: p.y + dy };
+            const score = rate(q);
+            if (score > p.score) { p = { ...q, score }; moved = true; break; }
+          }
+        }
+      }
+      const shot = this.findBestShots(placed(p), gameState, { profile })[0];
+      if (shot && (!best || shot.score > best.score)) {
+        best = { cue: { x: p.x, y: p.y }, shot, score: shot.score };
+      }
+    }
+    return best;
+  }
+
+  // ── Position play ────────────────────────────────────────────────────────
+  // Simulates the shot over a range of speeds and spins and rates each
+  // cue-ball leave by the best follow-up from there (findBestShots, direct
+  // shots only). Returns the best way to play it –
+  //   { power, tip, spin, score, cue, next: { ballId, pocketId, score } | null }
+  // – or null when no variant pots the ball and keeps the turn.
+  positionPlay(cueBall, shot, balls, gameState, profile = null) {
+    const best = this._bestLeave(cueBall, shot, balls, gameState, profile);
+    return best ? best.position : null;
+  }
+
+  // positionPlay() plus the balls and game state that the chosen way of
+  // playing the shot leaves behind
+  _bestLeave(cueBall, shot, balls, gameState, profile = null) {
+    const tips = [
+      { spin: 'follow', tip: { a: 0, b: 0.5 } },
+      { spin: 'centre', tip: { a: 0, b: 0 } },
+      { spin: 'draw',   tip: { a: 0, b: -0.6 } },
+    ];
+    let best = null;
+    for (const power of [0.25, 0.45, 0.7]) {
+      for (const { spin, tip } of tips) {
+        const aim = this.ghostBall(shot.objBall, this.shotTarget(shot), { cueBall, power, tip });
+        const vel = this.aimToVelocity(cueBall, aim, power, tip);
+        const sim = physics.simulate(balls, 0, vel.vx, vel.vy, { tip, recordEvery: 1000 });
+        const potId = shot.type === 'combo' ? shot.second.id : shot.objBall.id;
+        if (!sim.pocketed.has(potId) || sim.pocketed.has(0)) continue;
+        // An early 8 loses the game (a rotation game ball wins it)
+        if (gameState.rules === RULES.EIGHT_BALL && sim.pocketed.has(8) && potId !== 8) continue;
+
+        const after = this._afterShot(gameState, sim, potId, shot.pocket.id);
+        if (after.currentPlayer !== gameState.currentPlayer) continue;
+        const cue = sim.finalBalls.find(b => b.id === 0);
+
+        let score = 100, next = null;   // game won: nothing left to play
+        if (after.phase !== GAME_PHASE.GAME_OVER) {
+          const follow = this.findBestShots(sim.finalBalls, after, { position: false, directOnly: true, profile })[0];
+          score = follow ? follow.score : 0;
+          next  = follow ? { ballId: follow.objBall.id, pocketId: follow.pocket.id, score } : null;
+        }
+        if (!best || score > best.position.score) {
+          best = {
+            position:  { power, tip, spin, score, cue: { x: cue.x, y: cue.y }, next },
+            balls:     sim.finalBalls,
+            gameState: after,
+          };
+        }
+      }
+    }
+    return best;
+  }
+
+  // ── Run-out planner ──────────────────────────────────────────────────────
+  // Plans the rest of the rack for the current player: a beam search over
+  // the order of their remaining balls and then the 8 (in 9-ball, the
+  // rotation up to the 9). Each step takes one
+  // of the `branch` best direct shots, played the way positionPlay() rates
+  // best; that shot's cue-ball leave is the position target for the step.
+  // Returns up to `beam` plans – complete run-outs first, then the longest
+  // partial ones – by probability:
+  //   { prob, complete, steps: [{ ballId, pocketId, makeChance, power, tip,
+  //                               spin, from, cue }] }
+  planRunOut(balls, gameState, { beam = 3, branch = 3, profile = null } = {}) {
+    const { phase } = gameState;
+    if (phase !== GAME_PHASE.ASSIGNED_PLAY && phase !== GAME_PHASE.SHOOTING_8 && phase !== GAME_PHASE.ROTATION) return [];
+    const player = gameState.currentPlayer;
+    let frontier = [{ balls, gameState, steps: [], prob: 1 }];
+    const done   = [];
+
+    while (frontier.length) {
+      const next = [];
+      for (const node of frontier) {
+        const cueBall = node.balls.find(b => b.id === 0);
+        const shots = this.findBestShots(node.balls, node.gameState, { position: false, directOnly: true, profile })
+          .slice(0, branch);
+        let grew = false;
+        for (const shot of shots) {
+          const leave = this._bestLeave(cueBall, shot, node.balls, node.gameState, profile);
+          if (!leave) continue;
+          const sigmaDeg = profile ? this.aimSigma(profile, shot.cut, V.dist(cueBall, shot.ghost)) : C.AIM_SIGMA_DEG;
+          const makeChance = this.chainMakeChance(cueBall, shot.ghost, [{ ball: shot.objBall, mode: 'cut' }], shot.pocket, 2000, sigmaDeg);
+          const { power, tip, spin, cue } = leave.position;
+          const child = {
+            balls:     leave.balls,
+            gameState: leave.gameState,
+            prob:      node.prob * makeChance,
+            steps:     [...node.steps, {
+              ballId: shot.objBall.id, pocketId: shot.pocket.id, makeChance,
+              power, tip, spin, from: { x: cueBall.x, y: cueBall.y }, cue,
+            }],
+          };
+          grew = true;
+          if (leave.gameState.phase === GAME_PHASE.GAME_OVER) {
+            if (leave.gameState.winner === player) done.push({ ...child, complete: true });
+          } else {
+            next.push(child);
+          }
+        }
+        if (!grew && node.steps.length) done.push({ ...node, complete: false });
+      }
+      next.sort((a, b) => b.prob - a.prob);
+      frontier = next.slice(0, beam);
+    }
+
+    return done
+      .sort((a, b) => (b.complete - a.complete) || (b.steps.length - a.steps.length) || (b.prob - a.prob))
+      .slice(0, beam)
+      .map(({ prob, complete, steps }) => ({ prob, complete, steps }));
+  }
+
+  // Game state as it would be after the simulated shot, called as ball
+  // `ballId` in pocket `pocketId` (call-shot rules)
+  _afterShot(gameState, sim, ballId, pocketId) {
+    const gs = Object.assign(new GameState(), gameState, {
+      groups:      { ...gameState.groups },
+      pocketed:    new Set(gameState.pocketed),
+      scores:      { ...gameState.scores },
+      fouls:       { ...gameState.fouls },
+      shotHistory: [],
+    });
+    gs.callShot(ballId, pocketId);
+    gs.processShot(sim.pocketed, false, sim.events);
+    return gs;
+  }
+
   _difficultyLabel(cut) {
     for (const d of C.DIFFICULTY) {
       if (cut <= d.max) return d;
@@ -221,17 +1086,155 @@ class ShotEngine {
     return C.DIFFICULTY[C.DIFFICULTY.length - 1];
   }
 
+  // Point the object ball is first sent toward: the pocket, the first
+  // cushion contact of a bank, or the second ball of a combo / carom
+  // (kicks aim the cue ball itself; see kickShots)
+  shotTarget(shot) {
+    if (shot.sendTo) return shot.sendTo;
+    return shot.railPts?.length ? shot.railPts[0] : shot.pocket;
+  }
+
   // ── Compute initial cue velocity from aim direction + power ─────────────
   //  power: 0–1 multiplier → maps to ~500–4000 mm/s
-  aimToVelocity(cueBall, targetPos, power = 0.5) {
+  //  tip:   { a, b } cue-tip offset (fractions of R, + = right / above),
+  //         passed through for Physics.simulate() to turn into spin + squirt
+  aimToVelocity(cueBall, targetPos, power = 0.5, tip = null) {
     const dir   = V.norm(V.sub(targetPos, cueBall));
     const speed = 500 + power * 3500;
-    return { vx: dir.x * speed, vy: dir.y * speed };
+    return { vx: dir.x * speed, vy: dir.y * speed, tip };
   }
 
   // Given a recommended shot, compute the required cue velocity
-  shotVelocity(cueBall, shotData, power = 0.5) {
-    return this.aimToVelocity(cueBall, shotData.ghost, power);
+  // (toward the throw-compensated aim point when the shot has one)
+  shotVelocity(cueBall, shotData, power = 0.5, tip = null) {
+    return this.aimToVelocity(cueBall, shotData.aim || shotData.ghost, power, tip);
+  }
+
+  // ── Monte-Carlo shot odds ────────────────────────────────────────────────
+  // Plays the shot `samples` times through Physics.simulate with aim angle,
+  // speed and tip offset perturbed by a player error profile (1σ values:
+  // aimDeg in degrees, speed as a fraction, tip as a fraction of R). A make
+  // is the intended ball in the intended pocket; for kicks and safeties it
+  // is a first hit on the object ball. Without a profile the default one
+  // (errorProfile) is used. Returns
+  //   { n, make: { p, lo, hi }, scratch: { p, lo, hi } }
+  // with 95 % Wilson bounds. Seeded, so the same shot always gives the same
+  // numbers.
+  estimateOdds(cueBall, shot, balls, power = 0.5, tip = null, { samples = C.MC_SAMPLES, profile = null } = {}) {
+    profile = profile || this.errorProfile();
+    const aim   = shot.aim || shot.ghost;
+    const base  = V.angle(V.sub(aim, cueBall));
+    const speed = 500 + power * 3500;
+    const potId = shot.type === 'combo' ? shot.second.id : shot.objBall.id;
+    const hitOnly = !shot.pocket;
+    const rand  = this._rng(1 + shot.objBall.id * 7 + (shot.pocket ? shot.pocket.id : 6) * 131);
+    const aimSd = V.toRad(this.aimSigma(profile, shot.cut || 0, V.dist(cueBall, shot.ghost)));
+
+    let made = 0, scratched = 0;
+    for (let i = 0; i < samples; i++) {
+      const dir = V.fromAngle(base + this._gauss(rand) * aimSd);
+      const v   = speed * Math.max(0.2, 1 + this._gauss(rand) * profile.speed);
+      const t   = {
+        a: (tip ? tip.a : 0) + this._gauss(rand) * profile.tip,
+        b: (tip ? tip.b : 0) + this._gauss(rand) * profile.tip,
+      };
+      const sim = physics.simulate(balls, 0, dir.x * v, dir.y * v, { tip: t, recordEvery: 1000 });
+
+      if (hitOnly) {
+        const first = sim.events.find(e => e.type === 'ball');
+        if (first && (first.a === shot.objBall.id || first.b === shot.objBall.id)) made++;
+      } else if (sim.events.some(e => e.type === 'pocket' && e.ball === potId && e.pocket === shot.pocket.id)) {
+        made++;
+      }
+      if (sim.pocketed.has(0)) scratched++;
+    }
+    return {
+      n:       samples,
+      make:    this._wilson(made, samples),
+      scratch: this._wilson(scratched, samples),
+    };
+  }
+
+  // Default player error profile, from the constants
+  errorProfile() {
+    return { aimDeg: C.AIM_SIGMA_DEG, speed: C.SPEED_SIGMA, tip: C.TIP_SIGMA };
+  }
+
+  // Aim 1σ (degrees) a profile gives for this cut angle and cue → ghost
+  // distance: from its cut × distance bins when fitted, else the flat value
+  aimSigma(profile, cut, dist) {
+    const bins = profile.aimBins;
+    if (!bins) return profile.aimDeg;
+    const i = bins.cuts.filter(c => cut > c).length;
+    const j = bins.dists.filter(d => dist > d).length;
+    return bins.sigma[i][j];
+  }
+
+  // Proportion k/n with its 95 % Wilson score interval
+  _wilson(k, n) {
+    const z = 1.96, p = k / n;
+    const den  = 1 + z * z / n;
+    const mid  = (p + z * z / (2 * n)) / den;
+    const half = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n)) / den;
+    return { p, lo: Math.max(0, mid - half), hi: Math.min(1, mid + half) };
+  }
+
+  // Small seeded PRNG (mulberry32) → uniform [0, 1)
+  _rng(seed) {
+    let s = seed >>> 0;
+    return () => {
+      s = (s + 0x6D2B79F5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal sample (Box–Muller)
+  _gauss(rand) {
+    return Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+  }
+
+  // ── Cue-ball state at contact ───────────────────────────────────────────
+  // Estimates speed, forward roll and side spin when the cue ball reaches
+  // the ghost position, using the same strike and slip-decay model as
+  // Physics along the line of the shot. roll: 1 = natural roll, 0 = stun,
+  // < 0 = backspin.
+  _contactState(cueBall, ghostPos, power = 0.5, tip = null) {
+    const dir    = V.norm(V.sub(ghostPos, cueBall));
+    const strike = physics.cueStrike(dir.x, dir.y, 500 + power * 3500, tip || {});
+    const v0     = Math.sqrt(strike.vx * strike.vx + strike.vy * strike.vy);
+    const wRoll  = strike.spin.y * dir.x - strike.spin.x * dir.y;   // roll about the shooter's right
+    const u0     = v0 - this.R * wRoll;                              // forward slip
+
+    const dist = V.dist(cueBall, ghostPos);
+    const aS   = C.MU_SLIDE * C.GRAVITY;
+    const t    = dist / Math.max(v0, 1);
+    const tS   = Math.abs(u0) / (3.5 * aS);                         // slide → roll time
+    let uC, vC;
+    if (t < tS) {
+      uC = u0 - Math.sign(u0) * 3.5 * aS * t;
+      vC = Math.max(1, v0 - Math.sign(u0) * aS * t);
+    } else {
+      uC = 0;
+      vC = Math.max(1, v0 - u0 * 2 / 7 - C.MU_ROLL * C.GRAVITY * (t - tS));
+    }
+
+    const dwz = 2.5 * C.MU_SPIN * C.GRAVITY * t / this.R;
+    const wz  = Math.sign(strike.spin.z) * Math.max(0, Math.abs(strike.spin.z) - dwz);
+
+    return { speed: vC, roll: 1 - uC / vC, wz };
+  }
+
+  // Classifies the cue ball's spin at contact as a cueBallPath() spinType:
+  // 'natural' (rolling / follow), 'stun' (sliding, no spin) or 'draw'.
+  contactSpinType(cueBall, ghostPos, power = 0.5, tip = null) {
+    if (!tip) return 'natural';
+    const f = 1 - this._contactState(cueBall, ghostPos, power, tip).roll;   // 0 = rolling, 1 = stun
+    if (f < 0.35) return 'natural';
+    if (f <= 1.15) return 'stun';
+    return 'draw';
   }
 }
 
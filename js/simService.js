@@ -0,0 +1,197 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SimService – page-side client for the simulation worker
+//  Every call returns a Promise. Results for cancelled or superseded jobs
+//  resolve to null. Without Worker support (or if the worker fails to load,
+//  e.g. from file://) jobs run on the main thread instead.
+// ═══════════════════════════════════════════════════════════════════════════
+
+class SimService {
+  constructor(url = 'js/simWorker.js') {
+    this.worker  = null;
+    this.nextId  = 1;
+    this.pending = new Map();   // id → { resolve, reject, run }
+    this.lastRank = 0;          // id of the newest rank job
+    this.lastPlan = 0;          // id of the newest run-out plan job
+    this.lastOdds = 0;          // id of the newest odds job
+    this.lastPlace = 0;         // id of the newest ball-in-hand placement job
+    this.lastProfiles = 0;      // id of the newest player-profile fit
+
+    if (typeof Worker !== 'undefined') {
+      try {
+        this.worker = new Worker(url);
+        this.worker.onmessage = (e) => this._onMessage(e.data);
+        this.worker.onerror   = (e) => { e.preventDefault?.(); this._fallback(); };
+      } catch (_) {
+        this.worker = null;
+      }
+    }
+  }
+
+  // Same arguments and result as physics.simulate()
+  simulate(balls, cueBallId, vx, vy, options = {}) {
+    return this._post(
+      { type: 'simulate', balls: this._pack(balls), cueBallId, vx, vy, options },
+      () => physics.simulate(balls, cueBallId, vx, vy, options)
+    );
+  }
+
+  // Same result as shotEngine.recommendShots(), with objBall and a two-ball
+  // shot's second ball re-linked to the caller's Ball objects. A newer rank
+  // request supersedes older ones.
+  //  profile: the shooter's fitted error profile (PlayerProfiles), or null
+  rankShots(balls, gameState, profile = null) {
+    if (this.lastRank) this.cancel(this.lastRank);
+    const job = this._post(
+      { type: 'rank', balls: this._pack(balls), gameState: this._packState(gameState), profile },
+      () => shotEngine.recommendShots(balls, gameState, profile)
+    );
+    this.lastRank = job.id;
+    return job.then(shots => shots && shots.map(s => this._relink(s, balls)).filter(s => s.objBall));
+  }
+
+  // Same result as shotEngine.placeCueBall(), shot re-linked as in
+  // rankShots(). A newer placement request supersedes older ones.
+  placeCueBall(balls, gameState, profile = null) {
+    if (this.lastPlace) this.cancel(this.lastPlace);
+    const job = this._post(
+      { type: 'place', balls: this._pack(balls), gameState: this._packState(gameState), profile },
+      () => shotEngine.placeCueBall(balls, gameState, profile)
+    );
+    this.lastPlace = job.id;
+    return job.then(place => place && { ...place, shot: this._relink(place.shot, balls) });
+  }
+
+  // Same result as shotEngine.planRunOut() (steps refer to balls by id).
+  // A newer plan request supersedes older ones.
+  planRunOut(balls, gameState, profile = null) {
+    if (this.lastPlan) this.cancel(this.lastPlan);
+    const job = this._post(
+      { type: 'plan', balls: this._pack(balls), gameState: this._packState(gameState), profile },
+      () => shotEngine.planRunOut(balls, gameState, { profile })
+    );
+    this.lastPlan = job.id;
+    return job;
+  }
+
+  // Same result as shotEngine.estimateOdds() for the cue ball in `balls`.
+  // A newer odds request supersedes older ones.
+  estimateOdds(balls, shot, power, tip, profile = null) {
+    if (this.lastOdds) this.cancel(this.lastOdds);
+    const cue = balls.find(b => b.id === 0);
+    const job = this._post(
+      { type: 'odds', balls: this._pack(balls), shot: this._packShot(shot), power, tip, profile },
+      () => shotEngine.estimateOdds(cue, shot, balls, power, tip, { profile })
+    );
+    this.lastOdds = job.id;
+    return job;
+  }
+
+  // Same result as tableProfiles.fit() – slow, so it belongs in the worker
+  calibrate(records) {
+    return this._post(
+      { type: 'calibrate', records },
+      () => tableProfiles.fit(records)
+    );
+  }
+
+  // Same result as playerProfiles.fit(). A newer fit supersedes older ones.
+  fitProfiles(records) {
+    if (this.lastProfiles) this.cancel(this.lastProfiles);
+    const job = this._post(
+      { type: 'profiles', records },
+      () => playerProfiles.fit(records)
+    );
+    this.lastProfiles = job.id;
+    return job;
+  }
+
+  cancel(id) {
+    const job = this.pending.get(id);
+    if (!job) return;
+    this.pending.delete(id);
+    if (this.worker) this.worker.postMessage({ id, type: 'cancel' });
+    job.resolve(null);
+  }
+
+  // ── Internals ─────────────────────────────────────────────────────────────
+  _post(msg, run) {
+    const id = this.nextId++;
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    promise.id = id;
+    this.pending.set(id, { resolve, reject, run });
+
+    if (this.worker) {
+      this.worker.postMessage({ ...msg, id, cut: physics.table.cut, params: physics.params() });
+    } else {
+      // Main-thread fallback: still async, so callers behave the same
+      setTimeout(() => this._runLocal(id), 0);
+    }
+    return promise;
+  }
+
+  _runLocal(id) {
+    const job = this.pending.get(id);
+    if (!job) return;
+    this.pending.delete(id);
+    try { job.resolve(job.run()); } catch (err) { job.reject(err); }
+  }
+
+  _onMessage(msg) {
+    const job = this.pending.get(msg.id);
+    if (!job) return;   // cancelled
+    this.pending.delete(msg.id);
+    if (msg.ok) job.resolve(msg.result);
+    else        job.reject(new Error(msg.error));
+  }
+
+  // Worker died or could not load – finish outstanding jobs locally
+  _fallback() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    for (const id of [...this.pending.keys()]) this._runLocal(id);
+  }
+
+  // Worker results hold copies – point them back at the caller's balls
+  _relink(shot, balls) {
+    return {
+      ...shot,
+      objBall: balls.find(b => b.id === shot.objBall.id),
+      second:  shot.second && balls.find(b => b.id === shot.second.id),
+      pocket:  shot.pocket && (C.POCKETS.find(p => p.id === shot.pocket.id) || shot.pocket),
+    };
+  }
+
+  _pack(balls) {
+    return balls.map(b => ({
+      id: b.id, x: b.x, y: b.y, vx: b.vx || 0, vy: b.vy || 0,
+      wx: b.wx || 0, wy: b.wy || 0, wz: b.wz || 0,
+      pocketed: !!b.pocketed, inHand: !!b.inHand,
+    }));
+  }
+
+  // Just what estimateOdds() reads: balls by id, aim, cut and pocket
+  _packShot(shot) {
+    return {
+      type:    shot.type,
+      cut:     shot.cut,
+      aim:     shot.aim,
+      ghost:   shot.ghost,
+      objBall: { id: shot.objBall.id },
+      second:  shot.second ? { id: shot.second.id } : undefined,
+      pocket:  shot.pocket ? { id: shot.pocket.id } : null,
+    };
+  }
+
+  _packState(gs) {
+    const out = {};
+    for (const k of Object.keys(gs)) {
+      if (typeof gs[k] !== 'function') out[k] = gs[k];
+    }
+    return out;
+  }
+}
+
+const simService = new SimService();
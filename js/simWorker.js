@@ -0,0 +1,100 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  Simulation Worker
+//  Runs physics.simulate(), shotEngine.recommendShots(),
+//  shotEngine.planRunOut(), shotEngine.estimateOdds(),
+//  shotEngine.placeCueBall(), tableProfiles.fit() and playerProfiles.fit()
+//  off the main thread. Loads the same constants /
+//  physics / shot engine scripts as the page, so both sides always agree on
+//  the model.
+//
+//  Protocol (page → worker); every job also carries the page's pocket cut
+//  and table constants (params, see Physics.params):
+//   { id, type: 'simulate',  cut, params, balls, cueBallId, vx, vy, options }
+//   { id, type: 'rank',      cut, params, balls, gameState, profile }
+//   { id, type: 'plan',      cut, params, balls, gameState, profile }
+//   { id, type: 'odds',      cut, params, balls, shot, power, tip, profile }
+//   { id, type: 'place',     cut, params, balls, gameState, profile }
+//   { id, type: 'calibrate', cut, params, records }
+//   { id, type: 'profiles',  cut, params, records }
+//   { id, type: 'cancel' }              – drop job `id` if not started yet
+//  (profile: the shooter's fitted error profile, or null)
+//  Worker → page:
+//   { id, ok: true, result }  |  { id, ok: false, error }
+// ═══════════════════════════════════════════════════════════════════════════
+
+importScripts('constants.js', 'physics.js', 'gameState.js', 'shotEngine.js', 'tableProfile.js', 'playerProfile.js');
+
+// Jobs waiting to run. One job runs per task, so cancels and new jobs
+// posted meanwhile are seen before the next one starts; 'simulate' (the
+// shot the player just took) goes ahead of queued analysis jobs.
+const queue = [];
+let   scheduled = false;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'cancel') {
+    const i = queue.findIndex(m => m.id === msg.id);
+    if (i >= 0) queue.splice(i, 1);
+    return;
+  }
+  queue.push(msg);
+  schedule();
+};
+
+// Defer so cancels already posted behind a job are seen first
+function schedule() {
+  if (!scheduled && queue.length) { scheduled = true; setTimeout(next, 0); }
+}
+
+function next() {
+  scheduled = false;
+  const sim = queue.findIndex(m => m.type === 'simulate');
+  const [msg] = queue.splice(Math.max(sim, 0), 1);
+  if (msg) {
+    try {
+      self.postMessage({ id: msg.id, ok: true, result: run(msg) });
+    } catch (err) {
+      self.postMessage({ id: msg.id, ok: false, error: String(err && err.message || err) });
+    }
+  }
+  schedule();
+}
+
+function run(msg) {
+  if (msg.cut && msg.cut !== physics.table.cut) physics.buildTable(msg.cut);
+  if (msg.params) physics.setParams(msg.params);
+
+  // Calibration replays its own recorded layouts
+  if (msg.type === 'calibrate') return tableProfiles.fit(msg.records);
+  if (msg.type === 'profiles')  return playerProfiles.fit(msg.records);
+
+  const balls = msg.balls.map(toBall);
+
+  if (msg.type === 'simulate') {
+    return physics.simulate(balls, msg.cueBallId, msg.vx, msg.vy, msg.options || {});
+  }
+  if (msg.type === 'rank') {
+    const gs = Object.assign(new GameState(), msg.gameState);
+    return shotEngine.recommendShots(balls, gs, msg.profile);
+  }
+  if (msg.type === 'plan') {
+    const gs = Object.assign(new GameState(), msg.gameState);
+    return shotEngine.planRunOut(balls, gs, { profile: msg.profile });
+  }
+  if (msg.type === 'place') {
+    const gs = Object.assign(new GameState(), msg.gameState);
+    return shotEngine.placeCueBall(balls, gs, msg.profile);
+  }
+  if (msg.type === 'odds') {
+    return shotEngine.estimateOdds(balls.find(b => b.id === 0), msg.shot, balls, msg.power, msg.tip,
+                                   { profile: msg.profile });
+  }
+  throw new Error(`Unknown job type: ${msg.type}`);
+}
+
+// Structured clone drops the Ball prototype – rebuild real Balls
+function toBall(b) {
+  return Object.assign(new Ball(b.id, b.x, b.y), b);
+}
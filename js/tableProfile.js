@@ -0,0 +1,254 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  TableProfiles – named sets of table constants (C.TABLE_PARAMS), fitted
+//  from real AR shots in TrainingDB and stored in localStorage.
+//
+//  Fitting replays each tracked shot through Physics.simulate – launch
+//  velocity from the start of the tracked cue-ball path, spin from the
+//  recorded tip offset – and runs Nelder–Mead over the friction and
+//  restitution constants to minimise the RMS error between simulated and
+//  tracked final ball positions.
+//
+//  Stored profile: { params: { MU_SLIDE, … }, shots, error, created }
+//  'Default' is built in: the values constants.js ships with.
+// ═══════════════════════════════════════════════════════════════════════════
+
+class TableProfiles {
+  constructor() {
+    this.STORAGE_KEY = '8ball_table_profiles';
+    this.ACTIVE_KEY  = '8ball_table_profile';
+    this.DEFAULT     = 'Default';
+    this.defaults    = physics.params();
+
+    // Search range per constant
+    this.BOUNDS = {
+      MU_SLIDE:    [0.05, 0.40],
+      MU_ROLL:     [0.003, 0.030],
+      COR_BALL:    [0.80, 0.99],
+      COR_CUSHION: [0.50, 0.765],   // a cap on Physics._cushionCOR's curve, which peaks at 0.765
+    };
+    this.MIN_SHOTS     = 3;     // tracked shots needed to fit
+    this.LAUNCH_WINDOW = 0.25;  // s of cue-ball track used for the launch
+    this.POCKET_MISS   = 250;   // mm error charged when only one side pockets a ball
+  }
+
+  // ── Stored profiles ──────────────────────────────────────────────────────
+  names() {
+    return [this.DEFAULT, ...Object.keys(this._read())];
+  }
+
+  get(name) {
+    if (name === this.DEFAULT) return { params: { ...this.defaults } };
+    return this._read()[name] || null;
+  }
+
+  save(name, profile) {
+    const all = this._read();
+    all[name] = { ...profile, created: profile.created ?? Date.now() };
+    this._write(all);
+  }
+
+  remove(name) {
+    const all = this._read();
+    delete all[name];
+    this._write(all);
+    if (this.activeName() === name) this.activate(this.DEFAULT);
+  }
+
+  // Applies a profile's constants to Physics and remembers the choice
+  activate(name) {
+    const profile = this.get(name);
+    if (!profile) return false;
+    physics.setParams(profile.params);
+    try { localStorage.setItem(this.ACTIVE_KEY, name); } catch (_) {}
+    return true;
+  }
+
+  activeName() {
+    try { return localStorage.getItem(this.ACTIVE_KEY) || this.DEFAULT; } catch (_) { return this.DEFAULT; }
+  }
+
+  // Re-applies the remembered profile (on startup)
+  restore() {
+    if (!this.activate(this.activeName())) this.activate(this.DEFAULT);
+    return this.activeName();
+  }
+
+  _read() {
+    try { return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {}; } catch (_) { return {}; }
+  }
+
+  _write(all) {
+    try { localStorage.setItem(this.STORAGE_KEY, JSON.stringify(all)); } catch (_) {}
+  }
+
+  // ── Fitting ──────────────────────────────────────────────────────────────
+  // Tracked AR shots in `records` that can be replayed
+  usableShots(records) {
+    return records.map(r => this._replayable(r)).filter(Boolean);
+  }
+
+  // Fits C.TABLE_PARAMS to the records, starting from the current values.
+  // Returns { params, shots, error, before } (errors as RMS mm), or null
+  // with fewer than MIN_SHOTS usable shots. Physics is left as it was.
+  fit(records, { iterations = 80 } = {}) {
+    const shots = this.usableShots(records);
+    if (shots.length < this.MIN_SHOTS) return null;
+
+    const keys  = C.TABLE_PARAMS;
+    const start = physics.params();
+    // Search in units of each constant's starting value
+    const toParams = x => {
+      const p = {};
+      keys.forEach((k, i) => {
+        const [lo, hi] = this.BOUNDS[k];
+        p[k] = Math.min(hi, Math.max(lo, start[k] * x[i]));
+      });
+      return p;
+    };
+
+    try {
+      const before = this._error(shots, start);
+      const best = this._nelderMead(x => this._error(shots, toParams(x)), keys.map(() => 1), 0.15, iterations);
+      const params = toParams(best.x);
+      return { params, shots: shots.length, error: best.f, before };
+    } finally {
+      physics.setParams(start);
+    }
+  }
+
+  // Record → { balls, post, pocketed, vx, vy, spin }, or null
+  _replayable(r) {
+    if (!r.outcome || !r.postShotBalls || !r.cueTrack || !r.preShotBalls) return null;
+    const cue = r.preShotBalls.find(b => b.id === 0);
+    if (!cue) return null;
+    const launch = this._launch(cue, r.cueTrack);
+    if (!launch) return null;
+
+    const speed = Math.hypot(launch.vx, launch.vy);
+    let spin = {};
+    if (r.shot?.tip) {
+      // Spin for the recorded tip offset, scaled to the tracked launch speed
+      const strike = physics.cueStrike(launch.vx / speed, launch.vy / speed, speed, r.shot.tip);
+      const k = speed / Math.max(1, Math.hypot(strike.vx, strike.vy));
+      spin = { x: strike.spin.x * k, y: strike.spin.y * k, z: strike.spin.z * k };
+    }
+    return {
+      balls:    r.preShotBalls.map(b => ({ id: b.id, x: b.x, y: b.y })),
+      post:     new Map(r.postShotBalls.map(b => [b.id, b])),
+      pocketed: new Set(r.outcome.pocketed || []),
+      vx: launch.vx, vy: launch.vy, spin,
+    };
+  }
+
+  // Launch velocity from the start of a tracked cue-ball path [{ t (s), x, y }]:
+  // the points up to LAUNCH_WINDOW or the first sharp turn (a collision).
+  // Direction is the mean heading away from the pre-shot position. Distance
+  // along it is fitted as a slide at the current MU_SLIDE deceleration
+  // (too few points to fit that as well) and extrapolated back to where the
+  // ball leaves the pre-shot position, since tracking starts a few frames
+  // after the strike.
+  _launch(cue, track) {
+    if (track.length < 3) return null;
+    const t0  = track[0].t;
+    const pts = [track[0]];
+    for (let i = 1; i < track.length && track[i].t - t0 <= this.LAUNCH_WINDOW; i++) {
+      if (pts.length >= 2) {
+        const a = V.sub(pts[pts.length - 1], pts[pts.length - 2]);
+        const b = V.sub(track[i], pts[pts.length - 1]);
+        if (V.len(a) > 1 && V.len(b) > 1 && V.dot(V.norm(a), V.norm(b)) < Math.cos(V.toRad(15))) break;
+      }
+      pts.push(track[i]);
+    }
+    if (pts.length < 3) return null;
+
+    const heading = pts.reduce((h, p) => V.add(h, V.sub(p, cue)), { x: 0, y: 0 });
+    if (V.len(heading) < 1) return null;
+    const dir = V.norm(heading);
+
+    // s(t) = c0 + c1·t − ½·a·t², least squares in c0, c1
+    const a  = C.MU_SLIDE * C.GRAVITY;
+    const ts = pts.map(p => p.t - t0);
+    const ys = pts.map((p, k) => V.dot(V.sub(p, cue), dir) + 0.5 * a * ts[k] * ts[k]);
+    const n  = ts.length;
+    const mt = ts.reduce((s, t) => s + t, 0) / n;
+    const my = ys.reduce((s, y) => s + y, 0) / n;
+    const stt = ts.reduce((s, t) => s + (t - mt) ** 2, 0);
+    if (stt < 1e-9) return null;
+    const c1 = ts.reduce((s, t, k) => s + (t - mt) * (ys[k] - my), 0) / stt;
+    const c0 = my - c1 * mt;
+
+    // Back to s = 0 (t ≤ 0), where the launch speed is c1 − a·t
+    const tz = Math.min(0, (c1 - Math.sqrt(Math.max(0, c1 * c1 + 2 * a * c0))) / a);
+    const speed = c1 - a * tz;
+    return speed > C.STOP_SPEED ? { vx: dir.x * speed, vy: dir.y * speed } : null;
+  }
+
+  // RMS final-position error (mm) of the shots under `params`, over the
+  // balls that moved in the real shot or the replay
+  _error(shots, params) {
+    physics.setParams(params);
+    let sum = 0, n = 0;
+    for (const s of shots) {
+      const balls = s.balls.map(b => new Ball(b.id, b.x, b.y));
+      const sim = physics.simulate(balls, 0, s.vx, s.vy, { spin: s.spin, recordEvery: 1000 });
+      for (const fb of sim.finalBalls) {
+        const pre  = s.balls.find(b => b.id === fb.id);
+        const real = s.post.get(fb.id);
+        const realIn = s.pocketed.has(fb.id);
+        let d;
+        if (fb.pocketed || realIn) d = fb.pocketed === realIn ? 0 : this.POCKET_MISS;
+        else if (real) d = Math.hypot(fb.x - real.x, fb.y - real.y);
+        else continue;
+        const moved = realIn || fb.pocketed ||
+          Math.hypot(fb.x - pre.x, fb.y - pre.y) > C.BALL_R / 4 ||
+          (real && Math.hypot(real.x - pre.x, real.y - pre.y) > C.BALL_R / 4);
+        if (!moved) continue;
+        sum += d * d;
+        n++;
+      }
+    }
+    return n ? Math.sqrt(sum / n) : 0;
+  }
+
+  // Minimises f over R^n from x0 (initial simplex step `step`)
+  _nelderMead(f, x0, step, iterations) {
+    let simplex = [x0, ...x0.map((_, i) => x0.map((v, j) => v + (i === j ? step : 0)))]
+      .map(x => ({ x, f: f(x) }));
+    const along = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+    for (let it = 0; it < iterations; it++) {
+      simplex.sort((a, b) => a.f - b.f);
+      const worst = simplex[simplex.length - 1];
+      const centroid = x0.map((_, i) => simplex.slice(0, -1).reduce((s, p) => s + p.x[i], 0) / (simplex.length - 1));
+
+      const r = { x: along(centroid, worst.x, -1) };
+      r.f = f(r.x);
+      if (r.f < simplex[0].f) {
+        const e = { x: along(centroid, worst.x, -2) };
+        e.f = f(e.x);
+        simplex[simplex.length - 1] = e.f < r.f ? e : r;
+      } else if (r.f < simplex[simplex.length - 2].f) {
+        simplex[simplex.length - 1] = r;
+      } else {
+        const c = { x: along(centroid, worst.x, 0.5) };
+        c.f = f(c.x);
+        if (c.f < worst.f) {
+          simplex[simplex.length - 1] = c;
+        } else {
+          // Shrink toward the best point
+          simplex = simplex.map((p, i) => {
+            if (i === 0) return p;
+            const x = along(simplex[0].x, p.x, 0.5);
+            return { x, f: f(x) };
+          });
+        }
+      }
+    }
+    simplex.sort((a, b) => a.f - b.f);
+    return simplex[0];
+  }
+}
+
+const tableProfiles = new TableProfiles();
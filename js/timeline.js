@@ -0,0 +1,77 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  GameTimeline – the game shot by shot, for undo / redo and replays
+//
+//  Entry 0 is the layout the game started from; entry n is the table and
+//  game state after shot n, plus the cue strike that played it:
+//  { balls: [{ id, x, y, pocketed, inHand }], gameState: GameState.snapshot(),
+//    shot: { vx, vy, tip, from } | null, player }
+//  (from: where the cue ball was struck – a ball-in-hand cue ball is moved
+//  after the previous entry was taken)
+//  Recording a shot after an undo drops the undone entries.
+// ═══════════════════════════════════════════════════════════════════════════
+
+class GameTimeline {
+  constructor(limit = 500) {
+    this.limit   = limit;   // entries kept; the oldest shots drop off first
+    this.entries = [];
+    this.index   = -1;      // entry the table is showing
+  }
+
+  // Starts over from a fresh layout
+  reset(balls, gameState) {
+    this.entries = [this._entry(balls, gameState, null)];
+    this.index   = 0;
+  }
+
+  // Takes over a saved history ({ index, entries }, see GameFiles)
+  restore({ index, entries }) {
+    this.entries = entries.slice(-this.limit);
+    this.index   = Math.max(0, index - (entries.length - this.entries.length));
+  }
+
+  // Adds the state after a shot
+  record(balls, gameState, shot) {
+    this.entries.length = this.index + 1;
+    this.entries.push(this._entry(balls, gameState, shot));
+    if (this.entries.length > this.limit) this.entries.shift();
+    this.index = this.entries.length - 1;
+  }
+
+  get current()  { return this.entries[this.index] || null; }
+  get canUndo()  { return this.index > 0; }
+  get canRedo()  { return this.index < this.entries.length - 1; }
+
+  undo() { return this.canUndo ? this.entries[--this.index] : null; }
+  redo() { return this.canRedo ? this.entries[++this.index] : null; }
+
+  goTo(i) {
+    if (i < 0 || i >= this.entries.length) return null;
+    this.index = i;
+    return this.entries[i];
+  }
+
+  _entry(balls, gameState, shot) {
+    return {
+      balls:     GameTimeline.packBalls(balls),
+      gameState: gameState.snapshot(),
+      shot:      shot ? {
+        vx:   shot.vx,
+        vy:   shot.vy,
+        tip:  shot.tip ? { ...shot.tip } : null,
+        from: shot.from ? { ...shot.from } : null,
+      } : null,
+      player:    gameState.currentPlayer,
+    };
+  }
+
+  // ── Ball lists ───────────────────────────────────────────────────────────
+  static packBalls(balls) {
+    return balls.map(b => ({ id: b.id, x: b.x, y: b.y, pocketed: !!b.pocketed, inHand: !!b.inHand }));
+  }
+
+  static unpackBalls(packed) {
+    return packed.map(p => Object.assign(new Ball(p.id, p.x, p.y), { pocketed: !!p.pocketed, inHand: !!p.inHand }));
+  }
+}
@@ -10,7 +10,11 @@
 //   4. Assign moving blobs to known ball positions by nearest-neighbour.
 //   5. Detect when motion stops (delta falls below threshold).
 //   6. Emit 'update' events with new estimated positions.
-//   7. Emit 'done' event with final positions.
+//   7. Log contacts as Physics.simulate does: an object ball starting to
+//      move was hit by the nearest moving ball, a moving ball reaching a
+//      cushion touched the rail, and a ball lost near a pocket dropped.
+//   8. Emit 'done' event with final positions, the cue ball's path and the
+//      contact log.
 //
 //  All coordinates are in table-mm (requires ARSession to be calibrated).
 // ═══════════════════════════════════════════════════════════════════════════
@@ -22,10 +26,14 @@ class BallTracker {
     this.prevFrame    = null;
     this.refScale     = 0.3;       // process at 30% res
     this.ballStates   = [];        // [{id, x, y, moving}]
+    this.cueTrack     = [];        // [{t, x, y}] cue-ball positions, t in s from start
+    this.events       = [];        // contact log, see Physics.simulate
     this.frameCount   = 0;
     this.quietFrames  = 0;
     this.QUIET_THRESH = 8;         // frames with low motion = stopped
     this.DIFF_THRESH  = 18;        // per-pixel diff threshold
+    this.RAIL_TOL     = 15;        // mm from the cushion that counts as a rail contact
+    this.LOST_FRAMES  = 4;         // frames unseen near a pocket = pocketed
 
     // Min/max area for a moving blob to count as a ball
     this.MIN_BLOB     = 20;
@@ -33,7 +41,7 @@ class BallTracker {
 
     // Callbacks
     this.onUpdate = null;          // (ballStates) => void
-    this.onDone   = null;          // (finalStates) => void
+    this.onDone   = null;          // (finalStates, cueTrack, events) => void
 
     // Off-screen canvas
     this._canvas = document.createElement('canvas');
@@ -50,9 +58,15 @@ class BallTracker {
     this.quietFrames = 0;
     this.arSession   = arSession;
     this.videoEl     = videoEl;
+    this.cueTrack    = [];
+    this.events      = [];
+    this._startTime  = performance.now();
 
     // Clone initial states
-    this.ballStates = initBalls.map(b => ({ ...b, moving: false, screenPt: null }));
+    this.ballStates = initBalls.map(b => ({
+      ...b, moving: false, screenPt: null,
+      start: { x: b.x, y: b.y }, hit: b.id === 0, onRail: this._onRail(b), lost: 0,
+    }));
 
     // Capture reference frame
     this.refFrame = this._captureFrame();
@@ -198,20 +212,59 @@ class BallTracker {
         if (d < minDist) { minDist = d; closest = bt; }
       }
 
+      const t = (performance.now() - this._startTime) / 1000;
       if (closest) {
         bs.x      = closest.tx;
         bs.y      = closest.ty;
         bs.moving = true;
+        bs.lost   = 0;
+        if (bs.id === 0) this.cueTrack.push({ t, x: bs.x, y: bs.y });
+        this._logContacts(bs, t);
       } else {
         bs.moving = false;
+        if (bs.hit && ++bs.lost >= this.LOST_FRAMES) this._logPocket(bs, t);
       }
     }
   }
 
+  // ── Contact log ───────────────────────────────────────────────────────────
+  _logContacts(bs, t) {
+    // First movement of an object ball: hit by the nearest ball already moving
+    if (!bs.hit && Math.hypot(bs.x - bs.start.x, bs.y - bs.start.y) > C.BALL_R / 2) {
+      bs.hit = true;
+      let by = null, best = Infinity;
+      for (const o of this.ballStates) {
+        if (o === bs || !o.hit || o.pocketed) continue;
+        const d = Math.hypot(o.x - bs.start.x, o.y - bs.start.y);
+        if (d < best) { best = d; by = o; }
+      }
+      if (by) this.events.push({ t, type: 'ball', a: by.id, b: bs.id });
+    }
+
+    // Rail: entering the band along a cushion. A ball that starts in the
+    // band has to leave it first, so moving off a cushion is not a contact.
+    const onRail = this._onRail(bs);
+    if (bs.hit && onRail && !bs.onRail) this.events.push({ t, type: 'rail', ball: bs.id });
+    bs.onRail = onRail;
+  }
+
+  // Whether a ball centre is within RAIL_TOL of a cushion
+  _onRail(p) {
+    return Math.min(p.x, C.TABLE_W - p.x, p.y, C.TABLE_H - p.y) - C.BALL_R < this.RAIL_TOL;
+  }
+
+  // A moving ball that vanished next to a pocket dropped into it
+  _logPocket(bs, t) {
+    const pocket = C.POCKETS.find(p => Math.hypot(p.x - bs.x, p.y - bs.y) < C.POCKET_R_CORNER * 2);
+    if (!pocket) return;
+    bs.pocketed = true;
+    this.events.push({ t, type: 'pocket', ball: bs.id, pocket: pocket.id });
+  }
+
   // ── Finish and emit done ──────────────────────────────────────────────────
   _finish() {
     this.active = false;
     if (this._rafId) cancelAnimationFrame(this._rafId);
-    if (this.onDone) this.onDone([...this.ballStates]);
+    if (this.onDone) this.onDone([...this.ballStates], [...this.cueTrack], [...this.events]);
   }
 }
@@ -7,11 +7,13 @@
 //  {
 //    id:          auto-increment
 //    timestamp:   Date.now()
+//    player:      1 | 2 (shooter; null on older records)
 //    preShotBalls: [{id, x, y}]            // table-mm positions before shot
 //    shot: {
 //      ballId, pocket, power,              // 0-1
 //      difficulty, score, cutAngle,
-//      suggestedPower                       // computed AI power
+//      suggestedPower,                      // computed AI power
+//      tip                                  // {a, b} cue-tip offset, or null
 //    }
 //    outcome: {
 //      pocketed:    [ballIds],
@@ -20,6 +22,7 @@
 //      duration:    number                 // ms from shot to stop
 //    }
 //    postShotBalls: [{id, x, y}]           // table-mm positions after shot
+//    cueTrack:    [{t, x, y}] | null       // tracked cue-ball path (AR shots)
 //    stickData: {                          // cue stick info if available
 //      detected: bool,
 //      confidence: number,
@@ -71,15 +74,19 @@ class TrainingDB {
   async startShot(preShotBalls, shot, stickData = null) {
     const record = {
       timestamp:    Date.now(),
+      player:       shot.player ?? null,
       preShotBalls: preShotBalls.filter(b => !b.pocketed).map(b => ({ id: b.id, x: b.x, y: b.y })),
       shot: {
+        type:            shot.type ?? 'direct',   // 'manual' for a hand-aimed shot
         ballId:          shot.objBall?.id ?? -1,
+        potId:           (shot.type === 'combo' ? shot.second?.id : shot.objBall?.id) ?? -1,   // the ball meant to drop
         pocket:          shot.pocket?.id  ?? -1,
         power:           shot.power  ?? 0,
         difficulty:      shot.difficulty?.label ?? 'unknown',
         score:           shot.score ?? 0,
         cutAngle:        shot.cut ?? 0,
         suggestedPower:  shot.suggestedPower ?? 0,
+        tip:             shot.tip ? { a: shot.tip.a, b: shot.tip.b } : null,
       },
       stickData: stickData ? {
         detected:   stickData.detected,
@@ -88,6 +95,7 @@ class TrainingDB {
       } : null,
       outcome:       null,
       postShotBalls: null,
+      cueTrack:      null,
     };
 
     if (!this._ready) {
@@ -99,6 +107,7 @@ class TrainingDB {
   }
 
   // ── Record outcome after shot animation ends ──────────────────────────────
+  // outcome.cueTrack: the tracker's cue-ball path, for table calibration
   async recordOutcome(shotId, outcome, postShotBalls) {
     if (shotId < 0 || !this._ready) return;
 
@@ -117,6 +126,7 @@ class TrainingDB {
           duration:    outcome.duration ?? 0,
         };
         record.postShotBalls = (postShotBalls || []).map(b => ({ id: b.id, x: b.x, y: b.y }));
+        record.cueTrack = outcome.cueTrack || null;
         store.put(record).onsuccess = resolve;
       };
     });
@@ -143,6 +153,12 @@ class TrainingDB {
     };
   }
 
+  // ── All records (for PlayerProfiles) ──────────────────────────────────────
+  async getAll() {
+    if (!this._ready) return [];
+    return this._getAll();
+  }
+
   // ── Export as JSON ────────────────────────────────────────────────────────
   async exportJSON() {
     if (!this._ready) return '[]';
@@ -190,8 +206,22 @@ const trainingDB = new TrainingDB();
 // Returns suggested power [0.2, 0.9] based on shot geometry.
 function suggestedPower(shot, cueBall) {
   if (!shot) return 0.5;
+  if (shot.type === 'kick') {
+    // Cue ball travels every leg to the target and bleeds pace at each rail
+    const legs = [cueBall, ...shot.cbPath];
+    const len  = legs.slice(1).reduce((d, p, i) => d + V.dist(legs[i], p), 0);
+    const maxDist = Math.sqrt(C.TABLE_W ** 2 + C.TABLE_H ** 2);
+    return Math.min(0.88, Math.max(0.20, len / maxDist * (1 + 0.15 * shot.rails)));
+  }
+
+  const pathLen = pts => pts.slice(1).reduce((d, p, i) => d + V.dist(pts[i], p), 0);
   const distCB = V.dist(cueBall, shot.ghost);
-  const distOB = V.dist(shot.objBall, shot.pocket);
+  // Banks: the object ball travels every leg and bleeds pace at each rail.
+  // Combos / caroms: pace is split again at the second contact.
+  let distOB;
+  if (shot.railPts)        distOB = pathLen(shot.obPath) * (1 + 0.15 * shot.railPts.length);
+  else if (shot.chainPath) distOB = (pathLen(shot.obPath) + pathLen(shot.chainPath)) * 1.3;
+  else                     distOB = V.dist(shot.objBall, shot.pocket);
   const total  = distCB + distOB;
 
   // Normalise to table diagonal (~2835 mm for a 9-foot table)
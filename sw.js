@@ -6,7 +6,7 @@
 //  Gives full offline capability once the app has been loaded once.
 // ═══════════════════════════════════════════════════════════════════════════
 
-const CACHE_NAME = '8ball-ar-v3';
+const CACHE_NAME = '8ball-ar-v9';
 
 // Static shell — all files that must be cached on install
 const SHELL_ASSETS = [
@@ -18,11 +18,18 @@ const SHELL_ASSETS = [
   './js/physics.js',
   './js/gameState.js',
   './js/shotEngine.js',
+  './js/simService.js',
+  './js/simWorker.js',
   './js/homography.js',
   './js/arSession.js',
   './js/stickDetector.js',
   './js/tracker.js',
   './js/training.js',
+  './js/playerProfile.js',
+  './js/tableProfile.js',
+  './js/timeline.js',
+  './js/gameFile.js',
+  './js/layoutLink.js',
   './js/detection.js',
   './js/renderer.js',
   './js/app.js',